@@ -0,0 +1,168 @@
+// Interaction analytics for future.html
+// Components emit typed events into an Analytics bus; the bus batches them and
+// hands each batch to every sink. A sink is any object with write(events).
+// Event: { type, t (ms since the session started), session, data }
+
+// Known event types and the data fields each one carries
+export const EVENT_TYPES = {
+    session_start: ['mode'], // mode: 'camera' | 'pointer' | 'replay'
+    pointer_fallback: ['reason'], // 'choice' | 'camera_error' | 'model_error'
+    camera_started: [],
+    camera_error: ['kind'], // 'denied' | 'not_found' | 'in_use' | 'unsupported' | 'lost' | 'unknown'
+    hand_detected: ['afterMs'], // First hand after the camera started
+    gesture: ['hand', 'gesture', 'action'], // A bound gesture fired
+    select: ['id', 'source'], // Something was selected ('hand' | 'dwell' | 'scan' | 'keyboard' | 'pointer')
+    select_miss: ['hand'], // Pinch with nothing under the cursor
+    selection_mode: ['mode'], // Visitor switched how hands select
+    section_open: ['section'],
+    section_close: ['section', 'dwellMs'],
+    showcase_open: ['id'],
+    inquiry: ['status'],
+    onboarding: ['status'], // 'completed' | 'skipped'
+    gyro: ['status'], // 'started' | 'denied' | 'error'
+    locale: ['locale'], // Visitor picked a language
+    quality: ['tier']
+};
+
+const OPT_OUT_KEY = 'future.analyticsOptOut';
+let sessionOptOut = null; // setOptOut() this session: still holds when storage is blocked
+const liveBuses = new Set(); // Enabled Analytics instances, stopped by an opt-out
+
+function sessionId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+export class ConsoleSink {
+    write(events) {
+        events.forEach(event => console.log(`[analytics] ${event.type}`, event.data));
+    }
+}
+
+// Keeps the most recent events in localStorage (for on-site demos without a backend)
+export class StorageSink {
+    constructor({ key = 'future.analytics', limit = 500 } = {}) {
+        this.key = key;
+        this.limit = limit;
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    write(events) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(this.read().concat(events).slice(-this.limit)));
+        } catch (error) {
+            console.warn("Analytics storage unavailable:", error);
+        }
+    }
+}
+
+// POSTs each batch as JSON; sendBeacon survives the page closing
+export class BeaconSink {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    write(events) {
+        const body = JSON.stringify({ events });
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) return;
+
+        // No beacon support, or the payload was refused (too large)
+        fetch(this.endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+            .catch(error => console.warn("Analytics beacon failed:", error));
+    }
+}
+
+export class Analytics {
+    // Visitors can opt out for good (e.g. from a privacy page); Do Not Track counts too
+    static get optedOut() {
+        if (sessionOptOut !== null) return sessionOptOut || navigator.doNotTrack === '1';
+        try {
+            if (localStorage.getItem(OPT_OUT_KEY) === '1') return true;
+        } catch (error) {
+            // Storage blocked: fall through to DNT
+        }
+        return navigator.doNotTrack === '1';
+    }
+
+    // Takes effect at once: running buses drop what they queued and stop
+    static setOptOut(optOut) {
+        sessionOptOut = !!optOut;
+        if (optOut) liveBuses.forEach(bus => bus.stop());
+        try {
+            if (optOut) localStorage.setItem(OPT_OUT_KEY, '1');
+            else localStorage.removeItem(OPT_OUT_KEY);
+        } catch (error) {
+            console.warn("Analytics opt-out not stored, it only lasts this session:", error);
+        }
+    }
+
+    constructor({ enabled = true, batchSize = 20, flushInterval = 10000 } = {}) {
+        this.enabled = enabled && !Analytics.optedOut;
+        this.batchSize = batchSize;
+        this.session = sessionId();
+        this.startTime = performance.now();
+        this.sinks = [];
+        this.queue = [];
+
+        this.flush = this.flush.bind(this);
+        this.onVisibilityChange = () => { if (document.hidden) this.flush(); };
+
+        if (this.enabled) {
+            this.timer = setInterval(this.flush, flushInterval);
+            // Last chance to get the batch out before the tab goes away
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+            window.addEventListener('pagehide', this.flush);
+            liveBuses.add(this);
+        }
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+        return this;
+    }
+
+    emit(type, data = {}) {
+        if (!this.enabled) return;
+        if (!EVENT_TYPES[type]) {
+            console.warn("Unknown analytics event:", type);
+            return;
+        }
+
+        this.queue.push({ type, t: Math.round(performance.now() - this.startTime), session: this.session, data });
+        if (this.queue.length >= this.batchSize) this.flush();
+    }
+
+    flush() {
+        if (!this.queue.length) return;
+        const events = this.queue;
+        this.queue = [];
+        this.sinks.forEach(sink => {
+            try {
+                sink.write(events);
+            } catch (error) {
+                console.error("Analytics sink failed:", error);
+            }
+        });
+    }
+
+    // Unsent events are dropped; nothing more is collected
+    stop() {
+        this.queue = [];
+        this.dispose();
+    }
+
+    dispose() {
+        this.flush();
+        clearInterval(this.timer);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('pagehide', this.flush);
+        liveBuses.delete(this);
+        this.enabled = false;
+    }
+}
@@ -2,30 +2,283 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
-
-// Configuration
+import { CONTENT } from './future-content.js';
+import { GESTURES, GESTURE_BINDINGS, GestureRouter, GestureTutorial, HAND_CONNECTIONS, gestureMetrics, tuningRange, labelHands, palmSize } from './future-gestures.js';
+import { OneEuroFilter, CursorMapping, ReachCalibration } from './future-cursor.js';
+import { InquiryForm } from './future-inquiry.js';
+import { PanelRenderer } from './future-panels.js';
+import { HashRouter, formatRoute } from './future-router.js';
+import { NavigationMachine, MENU } from './future-navigation.js';
+import { QualityGovernor } from './future-quality.js';
+import { FUTURE_TEMPLATE, scopeIds, ref } from './future-template.js';
+import { Analytics, ConsoleSink, StorageSink, BeaconSink } from './future-analytics.js';
+import { THEMES, registerTheme, cssColor, rgbaColor, panelColors, DisplayPreferences } from './future-theme.js';
+import { LandmarkRecorder, LandmarkReplay } from './future-replay.js';
+import { SceneMirror } from './future-mirror.js';
+import { SELECTION_MODES, DwellSelector, ReleaseSelector, ScanSelector } from './future-selection.js';
+import { openCamera, listCameras, classifyCameraError, StreamMonitor } from './future-camera.js';
+import { Localizer, detectLocale, fontStack, loadScriptFonts, localize, translateDom } from './future-i18n.js';
+import { LOCALES } from './future-locales.js';
+
+// Configuration defaults. Each <future-experience> works on its own copy with
+// its attributes laid over it (createConfig), so experiences don't share settings.
 const CONFIG = {
-    colors: {
-        background: 0x050505,
-        grid: 0x0a0a0a,
-        accent: 0x06b6d4, // Cyan
-        secondary: 0xa855f7 // Purple
+    colors: { ...THEMES.neon }, // The active palette; App.applyDisplay() swaps it in place (in the copy)
+
+    // Look and motion. Override with window.FUTURE_THEME = { ... }; `themes` adds palettes.
+    theme: {
+        name: 'neon', // A THEMES key (future-theme.js)
+        motion: 'auto', // 'auto' (prefers-reduced-motion) | 'reduce' | 'full'
+        contrast: 'auto', // 'auto' (prefers-contrast) | 'more' (high-contrast theme) | 'normal'
+        themes: {},
+        ...(window.FUTURE_THEME || {})
+    },
+    debug: false, // Open the diagnostics HUD at start (also ?debug; then D toggles it)
+
+    // Language. Override with window.FUTURE_LOCALE = { ... }. name: a LOCALES key, or null
+    // for the visitor's browser languages; a language picked from the menu is remembered.
+    locale: {
+        name: null,
+        storageKey: 'future.locale',
+        ...(window.FUTURE_LOCALE || {})
+    },
+
+    // MediaPipe assets. To self-host, set window.FUTURE_ASSETS = { ... } before this script loads.
+    assets: {
+        visionModule: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0',
+        wasmPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm',
+        handModel: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+        dracoPath: 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/',
+        ...(window.FUTURE_ASSETS || {})
+    },
+    fontTimeout: 3000, // ms to wait for web fonts before drawing with the fallback
+
+    // Render quality. null adapts to the frame rate; a QUALITY_TIERS name pins it (demos, recordings)
+    quality: {
+        tier: null
+    },
+
+    // Event screens: no permission prompt, and an attract loop after idleTimeout
+    // without a hand or pointer input. Override with window.FUTURE_KIOSK = { ... }.
+    kiosk: {
+        enabled: false,
+        idleTimeout: 30000, // ms
+        stepDuration: 4000, // ms per attract loop step
+        modelRetry: 60000, // ms between hand model retries after it failed to load
+        ...(window.FUTURE_KIOSK || {})
     },
-    debug: true // Set to true to see webcam overlay
+
+    // Interaction analytics. Override with window.FUTURE_ANALYTICS = { ... }.
+    // Visitors opt out with Do Not Track, or a privacy page calls
+    // customElements.get('future-experience').setAnalyticsOptOut(true) (also on the element).
+    analytics: {
+        enabled: true,
+        sinks: ['storage'], // 'console' | 'storage'; 'beacon' is added when endpoint is set
+        endpoint: null, // Receives a JSON POST { events: [...] } per batch
+        batchSize: 20,
+        flushInterval: 10000, // ms
+        ...(window.FUTURE_ANALYTICS || {})
+    },
+
+    // Contact form. Override with window.FUTURE_INQUIRY = { endpoint, ... } before this script loads.
+    inquiry: {
+        endpoint: '/api/inquiry', // Receives a JSON POST { name, email, message, page, sentAt }
+        retryInterval: 30000, // ms between outbox retries while offline
+        ...(window.FUTURE_INQUIRY || {})
+    }
+};
+
+// A manifest item with its text in the localizer's current language
+function localizeItem(i18n, item) {
+    return { ...item, ...i18n.content(item.id) };
+}
+
+function panelSpec(item) {
+    return { title: item.text, subtitle: item.subtitle, body: item.body, icon: item.icon, image: item.image, width: item.width };
+}
+
+// Quality tiers, lowest first. QualityGovernor steps between them by frame time.
+const QUALITY_TIERS = [
+    { name: 'low', pixelRatio: 1, shadows: false, particles: 200, fog: false, inferenceFps: 15 },
+    { name: 'medium', pixelRatio: 1.5, shadows: false, particles: 500, fog: true, inferenceFps: 24 },
+    { name: 'high', pixelRatio: 2, shadows: true, particles: 800, fog: true, inferenceFps: 30 }
+];
+
+// The world: the orb and menu at the origin (the hub), sections as places on a ring
+// around it in menu order, so swiping from one to the next flies around the ring.
+// Section item positions are relative to their place.
+const CONFIG_SPACE = {
+    radius: 14, // Hub to section
+    view: { position: [0, 1.6, 5], target: [0, 0, 0] }, // Camera at a place (and at the hub)
+    flyDuration: 1.6, // s per camera flight
+    flyLift: 0.15 // Arc height, as a share of the flight's length
 };
 
+// Interaction targets are meshes tagged with userData.type 'panel' or 'button'.
+// Raycasting ignores visibility, so hidden menus (and sections other than the
+// open one, which stay in view as places) must be filtered out here.
+function isInteractive(object) {
+    const type = object.userData.type;
+    if (type !== 'panel' && type !== 'button') return false;
+
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible || node.userData.inactive) return false;
+    }
+    return true;
+}
+
+// CONFIG_SPACE.view seen from an object's frame (a section group, or the scene for the hub)
+function placeView(object) {
+    object.updateMatrixWorld();
+    return {
+        position: object.localToWorld(new THREE.Vector3(...CONFIG_SPACE.view.position)),
+        target: object.localToWorld(new THREE.Vector3(...CONFIG_SPACE.view.target))
+    };
+}
+
+// Bezier control point for a flight: raised, and bowed out to the ends' distance
+// from the hub, so section-to-section flights go around the ring rather than across it
+function arcControl(from, to, lift) {
+    const control = from.clone().lerp(to, 0.5);
+    const radius = (Math.hypot(from.x, from.z) + Math.hypot(to.x, to.z)) / 2;
+    const reach = Math.hypot(control.x, control.z);
+    if (reach > 0.001 && reach < radius) {
+        control.x *= radius / reach;
+        control.z *= radius / reach;
+    }
+    control.y += lift;
+    return control;
+}
+
+function pickInteractive(raycaster, scene) {
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    const hit = intersects.find(i => isInteractive(i.object));
+    return hit ? hit.object : null;
+}
+
+const ITEM_TYPES = ['panel', 'button', 'decoration'];
+const ITEM_SHAPES = ['box', 'icosahedron'];
+const ACTION_TYPES = ['openSection', 'openUrl', 'flip', 'submit', 'showcase', 'openPage'];
+const FORM_TYPES = ['inquiry'];
+
+function resolveColor(colors, color) {
+    return typeof color === 'string' ? colors[color] : color;
+}
+
+// Checks the content manifest up front so a typo fails loudly at startup,
+// not silently when someone selects the broken panel.
+function validateContent(content) {
+    const errors = [];
+    const ids = new Map(); // id -> where it was first defined
+    const sectionIds = new Set((content.sections || []).map(s => s.id));
+
+    // pageIds: the pages of the item's section (openPage stays within it)
+    const checkItem = (item, where, pageIds = new Set()) => {
+        if (!item.id) {
+            errors.push(`${where}: missing id`);
+        } else if (ids.has(item.id)) {
+            errors.push(`${where}: duplicate id "${item.id}" (already used at ${ids.get(item.id)})`);
+        } else {
+            ids.set(item.id, where);
+        }
+
+        if (!ITEM_TYPES.includes(item.type)) {
+            errors.push(`${where}: unknown type "${item.type}" (expected ${ITEM_TYPES.join(', ')})`);
+        }
+        if (!Array.isArray(item.position) || item.position.length !== 3) {
+            errors.push(`${where}: position must be [x, y, z]`);
+        }
+        if (item.type === 'panel' && !item.text) {
+            errors.push(`${where}: panel needs text`);
+        }
+        if (item.type === 'panel' && item.width !== undefined && !(item.width > 0)) {
+            errors.push(`${where}: width must be a positive number`);
+        }
+        if (item.type === 'button' && !item.label) {
+            errors.push(`${where}: button needs a label (its name for keyboard and screen reader users)`);
+        }
+        if (item.type === 'button' || item.type === 'decoration') {
+            if (!ITEM_SHAPES.includes(item.shape)) errors.push(`${where}: unknown shape "${item.shape}"`);
+            if (!Array.isArray(item.size)) errors.push(`${where}: size must be an array`);
+            if (resolveColor(THEMES.neon, item.color) === undefined) errors.push(`${where}: unknown color "${item.color}"`);
+        }
+        if (item.type === 'decoration' && item.action) {
+            errors.push(`${where}: decorations can't have an action`);
+        }
+
+        const action = item.action;
+        if (action) {
+            if (!ACTION_TYPES.includes(action.type)) {
+                errors.push(`${where}: unknown action "${action.type}" (expected ${ACTION_TYPES.join(', ')})`);
+            } else if (action.type === 'openSection' && !sectionIds.has(action.section)) {
+                errors.push(`${where}: openSection references unknown section "${action.section}"`);
+            } else if (action.type === 'openUrl' && !action.url) {
+                errors.push(`${where}: openUrl needs a url`);
+            } else if (action.type === 'showcase' && !action.model) {
+                errors.push(`${where}: showcase needs a model url`);
+            } else if (action.type === 'openPage' && !pageIds.has(action.page)) {
+                errors.push(`${where}: openPage references "${action.page}", which is not a page of this section`);
+            }
+        }
+    };
+
+    (content.menu || []).forEach((item, i) => checkItem(item, `menu[${i}]`));
+
+    const seenSections = new Set();
+    (content.sections || []).forEach((section, i) => {
+        if (!section.id) errors.push(`sections[${i}]: missing id`);
+        else if (seenSections.has(section.id)) errors.push(`sections[${i}]: duplicate section id "${section.id}"`);
+        seenSections.add(section.id);
+
+        const pageIds = new Set();
+        (section.pages || []).forEach((page, j) => {
+            const where = `sections.${section.id}.pages[${j}]`;
+            // Pages share the item ids: a route's item is a page or a showcase card
+            if (!page.id) errors.push(`${where}: missing id`);
+            else if (ids.has(page.id)) errors.push(`${where}: duplicate id "${page.id}" (already used at ${ids.get(page.id)})`);
+            else ids.set(page.id, where);
+            pageIds.add(page.id);
+            (page.items || []).forEach((item, k) => checkItem(item, `${where}.items[${k}]`));
+        });
+
+        (section.items || []).forEach((item, j) => checkItem(item, `sections.${section.id}.items[${j}]`, pageIds));
+
+        const form = section.form;
+        if (form) {
+            if (!FORM_TYPES.includes(form.type)) {
+                errors.push(`sections.${section.id}.form: unknown form "${form.type}" (expected ${FORM_TYPES.join(', ')})`);
+            }
+            if (form.panel && !(section.items || []).some(item => item.id === form.panel && item.type === 'panel')) {
+                errors.push(`sections.${section.id}.form: status panel "${form.panel}" is not a panel in this section`);
+            }
+        }
+    });
+
+    if (errors.length) {
+        throw new Error(`Invalid scene content:\n  - ${errors.join('\n  - ')}`);
+    }
+}
+
 class SceneManager {
-    constructor() {
-        this.container = document.getElementById('canvas-container');
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+    // loadingManager: models loaded into this scene report to it (not three's global default)
+    constructor(container, config, loadingManager) {
+        this.container = container;
+        this.config = config;
+        this.loadingManager = loadingManager;
+        this.width = container.clientWidth || window.innerWidth;
+        this.height = container.clientHeight || window.innerHeight;
 
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(CONFIG.colors.background);
-        this.scene.fog = new THREE.FogExp2(CONFIG.colors.background, 0.05);
+        this.scene.background = new THREE.Color(this.config.colors.background);
+        this.fog = new THREE.FogExp2(this.config.colors.background, 0.05);
+        this.scene.fog = this.fog;
+        this.reducedMotion = false; // No idle spin, camera moves jump instead of tweening
 
         this.camera = new THREE.PerspectiveCamera(60, this.width / this.height, 0.1, 100);
-        this.camera.position.set(0, 1.6, 5);
+        this.home = placeView(this.scene); // The hub
+        this.view = this.home; // Where the camera is (or is flying to); gyro parallax is around it
+        this.flight = null;
+        this.camera.position.copy(this.home.position);
 
         this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         this.renderer.setSize(this.width, this.height);
@@ -41,11 +294,19 @@ class SceneManager {
         this.controls.maxDistance = 10;
         this.controls.minDistance = 2;
         this.controls.enabled = false; // Disabled initially, enabled for fallback
+        this.controls.target.copy(this.home.target);
 
         this.initLights();
         this.initWorld();
 
-        window.addEventListener('resize', this.onResize.bind(this));
+        // Follow the container: the viewport on future.html, any box when embedded
+        this.onResize = this.onResize.bind(this);
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.onResize);
+            this.resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', this.onResize);
+        }
     }
 
     initLights() {
@@ -56,25 +317,25 @@ class SceneManager {
         dirLight.position.set(5, 10, 7);
         dirLight.castShadow = true;
         this.scene.add(dirLight);
+        this.dirLight = dirLight;
 
         // Neon Glows
-        const pointLight1 = new THREE.PointLight(CONFIG.colors.accent, 2, 20);
-        pointLight1.position.set(-5, 2, -5);
-        this.scene.add(pointLight1);
+        this.accentLight = new THREE.PointLight(this.config.colors.accent, 2, 20);
+        this.accentLight.position.set(-5, 2, -5);
+        this.scene.add(this.accentLight);
 
-        const pointLight2 = new THREE.PointLight(CONFIG.colors.secondary, 2, 20);
-        pointLight2.position.set(5, 5, -5);
-        this.scene.add(pointLight2);
+        this.secondaryLight = new THREE.PointLight(this.config.colors.secondary, 2, 20);
+        this.secondaryLight.position.set(5, 5, -5);
+        this.scene.add(this.secondaryLight);
     }
 
     initWorld() {
         // Grid Floor
-        const gridHelper = new THREE.GridHelper(50, 50, CONFIG.colors.accent, CONFIG.colors.grid);
-        this.scene.add(gridHelper);
+        this.createGrid();
 
         // Floating Particles
         const particlesGeometry = new THREE.BufferGeometry();
-        const particlesCount = 800;
+        const particlesCount = Math.max(...QUALITY_TIERS.map(tier => tier.particles)); // Tiers draw a subset
         const posArray = new Float32Array(particlesCount * 3);
 
         for (let i = 0; i < particlesCount * 3; i++) {
@@ -86,7 +347,7 @@ class SceneManager {
         particlesGeometry.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
         const particlesMaterial = new THREE.PointsMaterial({
             size: 0.03,
-            color: CONFIG.colors.accent,
+            color: this.config.colors.accent,
             transparent: true,
             opacity: 0.6,
             blending: THREE.AdditiveBlending
@@ -98,7 +359,7 @@ class SceneManager {
         // Placeholder Hero Cube (The "Orb")
         const geometry = new THREE.IcosahedronGeometry(1, 1);
         const material = new THREE.MeshStandardMaterial({
-            color: CONFIG.colors.accent,
+            color: this.config.colors.accent,
             roughness: 0.2,
             metalness: 0.8,
             wireframe: true
@@ -109,16 +370,45 @@ class SceneManager {
 
         // Glow
         const bgGeometry = new THREE.IcosahedronGeometry(0.8, 1);
-        const bgMaterial = new THREE.MeshBasicMaterial({ color: CONFIG.colors.secondary, wireframe: false, transparent: true, opacity: 0.3 });
+        const bgMaterial = new THREE.MeshBasicMaterial({ color: this.config.colors.secondary, wireframe: false, transparent: true, opacity: 0.3 });
         this.glowMesh = new THREE.Mesh(bgGeometry, bgMaterial);
         this.heroMesh.add(this.glowMesh);
     }
 
+    // GridHelper bakes its colors into the geometry, so a theme change rebuilds it
+    createGrid() {
+        if (this.grid) {
+            this.scene.remove(this.grid);
+            disposeObject(this.grid);
+        }
+        this.grid = new THREE.GridHelper(50, 50, this.config.colors.accent, this.config.colors.grid);
+        this.scene.add(this.grid);
+    }
+
+    // Recolors the world from config.colors (already set to the new theme)
+    setTheme(theme) {
+        const colors = this.config.colors;
+        this.scene.background.setHex(colors.background);
+        this.fog.color.setHex(colors.background);
+        this.accentLight.color.setHex(colors.accent);
+        this.secondaryLight.color.setHex(colors.secondary);
+        this.createGrid();
+
+        // Additive sparkles vanish on a light background
+        const particles = this.particleSystem.material;
+        particles.color.setHex(colors.accent);
+        particles.blending = theme.dark ? THREE.AdditiveBlending : THREE.NormalBlending;
+        particles.needsUpdate = true;
+
+        this.heroMesh.material.color.setHex(colors.accent);
+        this.glowMesh.material.color.setHex(colors.secondary);
+    }
+
     update() {
-        if (this.particleSystem) {
+        if (this.particleSystem && !this.reducedMotion) {
             this.particleSystem.rotation.y += 0.0005;
         }
-        if (this.heroMesh) {
+        if (this.heroMesh && !this.reducedMotion) {
             this.heroMesh.rotation.x += 0.005;
             this.heroMesh.rotation.y += 0.01;
         }
@@ -127,90 +417,163 @@ class SceneManager {
         this.renderer.render(this.scene, this.camera);
     }
 
+    // Applies a QUALITY_TIERS entry
+    setQuality(tier) {
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+
+        this.particleSystem.geometry.setDrawRange(0, tier.particles);
+
+        // Shadows and fog are compiled into the shaders, so materials need a rebuild when they flip
+        const fog = tier.fog ? this.fog : null;
+        if (this.renderer.shadowMap.enabled !== tier.shadows || this.scene.fog !== fog) {
+            this.renderer.shadowMap.enabled = tier.shadows;
+            this.dirLight.castShadow = tier.shadows;
+            this.scene.fog = fog;
+            this.scene.traverse(node => {
+                const materials = Array.isArray(node.material) ? node.material : [node.material];
+                materials.forEach(material => { if (material) material.needsUpdate = true; });
+            });
+        }
+    }
+
     onResize() {
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+        const width = this.container.clientWidth || window.innerWidth;
+        const height = this.container.clientHeight || window.innerHeight;
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
         this.camera.aspect = this.width / this.height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(this.width, this.height);
     }
 
-    rotateCamera(amount) {
-        gsap.to(this.scene.rotation, { y: this.scene.rotation.y + amount, duration: 0.8, ease: 'power2.out' });
+    // Releases tweens, GPU resources and listeners; the manager is unusable afterwards
+    dispose() {
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        else window.removeEventListener('resize', this.onResize);
+
+        if (this.flight) this.flight.kill();
+        this.scene.traverse(node => gsap.killTweensOf([node.position, node.rotation, node.scale]));
+        this.controls.dispose();
+        disposeObject(this.scene);
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+    }
+
+    // Camera position around the OrbitControls target
+    getOrbit() {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        return new THREE.Spherical().setFromVector3(offset);
+    }
+
+    setOrbit(radius, theta) {
+        const spherical = this.getOrbit();
+        spherical.radius = THREE.MathUtils.clamp(radius, this.controls.minDistance, this.controls.maxDistance);
+        spherical.theta = theta;
+        this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+        this.camera.lookAt(this.controls.target);
+    }
+
+    // Flies the camera to a view ({ position, target } in world space) along an arc,
+    // retargeting OrbitControls with it. A new flight takes over from wherever the last one got to.
+    flyTo(view) {
+        if (view === this.view) return; // Views are fixed per place
+        this.view = view;
+        if (this.flight) this.flight.kill();
+
+        const from = this.camera.position.clone();
+        const fromTarget = this.controls.target.clone();
+        const lift = from.distanceTo(view.position) * CONFIG_SPACE.flyLift;
+        const path = new THREE.QuadraticBezierCurve3(from, arcControl(from, view.position, lift), view.position.clone());
+        const targetPath = new THREE.QuadraticBezierCurve3(fromTarget, arcControl(fromTarget, view.target, 0), view.target.clone());
+
+        const progress = { t: 0 };
+        this.flight = gsap.to(progress, {
+            t: 1,
+            duration: this.reducedMotion ? 0 : CONFIG_SPACE.flyDuration,
+            ease: 'power2.inOut',
+            onUpdate: () => {
+                path.getPoint(progress.t, this.camera.position);
+                targetPath.getPoint(progress.t, this.controls.target);
+                this.camera.lookAt(this.controls.target);
+            },
+            onComplete: () => { this.flight = null; }
+        });
     }
 
     applyGyroRotation(x, y) {
+        if (this.reducedMotion) return; // Tilt parallax is exactly the motion people opt out of
+        if (this.flight) return;
+
         // x is up/down tilt (beta), y is left/right tilt (gamma)
 
-        // Parallax effect: Shift camera position slightly
-        // x (-1 to 1) -> shift Y
-        // y (-1 to 1) -> shift X
+        // Parallax effect: Shift camera position slightly around the current view
+        // x (-1 to 1) -> shift up/down
+        // y (-1 to 1) -> shift sideways
 
-        const targetX = y * 3; // Shift range
-        const targetY = 1.6 + x * 2; // Base height 1.6
+        const { position, target } = this.view;
+        const right = new THREE.Vector3().subVectors(target, position).cross(this.camera.up).normalize();
+        const goal = position.clone().addScaledVector(right, y * 3); // Shift range
+        goal.y += x * 2;
 
         // Smoothly interpolate
-        this.camera.position.x += (targetX - this.camera.position.x) * 0.05;
-        this.camera.position.y += (targetY - this.camera.position.y) * 0.05;
+        this.camera.position.lerp(goal, 0.05);
 
-        // Always look at center
-        this.camera.lookAt(0, 0, 0);
+        // Always look at the place
+        this.camera.lookAt(target);
     }
 }
 
 class UIManager {
-    constructor(sceneManager) {
+    constructor(sceneManager, root, analytics, config, i18n) {
         this.sceneManager = sceneManager;
+        this.analytics = analytics;
+        this.config = config;
+        this.i18n = i18n;
+        this.sectionOpenedAt = 0;
         this.scene = sceneManager.scene;
         this.panels = [];
-        this.currentSection = 'home';
+        this.panelRenderer = new PanelRenderer({ colors: panelColors(this.config.colors) });
+        this.applyScript();
+        this.loops = []; // Endless spin tweens, paused under reduced motion
+        this.reducedMotion = false;
+        this.places = {}; // section id -> camera view (placeView)
+        this.pages = {}; // section id -> { page id -> group }
+        this.timeline = null; // The current navigation's animations
+        this.onRouteChange = null; // Called with this.route after each navigation
+        this.onNavigate = null; // Same, for the accessible mirror (onRouteChange belongs to the router)
+        this.onItemChange = null; // (mesh) => {}, an item's text or disabled state changed
 
         this.initPanels();
+        this.showcase = new ModelShowcase(sceneManager, config, i18n);
+        // Other modules can subscribe too: navigation.on('enter' | 'exit' | 'change', listener)
+        this.navigation = new NavigationMachine({
+            exists: (route) => this.routeExists(route),
+            play: (from, to, steps) => this.playTransition(from, to, steps),
+            finish: () => { if (this.timeline) this.timeline.progress(1); }
+        });
+        this.navigation.on('change', () => this.routeChanged());
+        this.inquiry = new InquiryForm({
+            form: ref(root, 'inquiry-form'),
+            endpoint: this.config.inquiry.endpoint,
+            retryInterval: this.config.inquiry.retryInterval,
+            onStatus: (status) => this.renderInquiryStatus(status),
+            text: (key) => this.i18n.t(`inquiry.messages.${key}`)
+        });
     }
 
-    createCanvasInput(text, subtext = "", width = 512, height = 256) {
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-
-        // Background
-        ctx.fillStyle = 'rgba(0,0,0,0.8)';
-        ctx.fillRect(0, 0, width, height);
-        ctx.strokeStyle = '#06b6d4'; // Cyan border
-        ctx.lineWidth = 4;
-        ctx.strokeRect(0, 0, width, height);
-
-        // Text
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 48px "Space Grotesk"';
-        ctx.textAlign = 'center';
-        ctx.fillText(text, width / 2, height / 2 - 20);
-
-        if (subtext) {
-            ctx.fillStyle = '#a855f7';
-            ctx.font = '32px "Space Grotesk"';
-            ctx.fillText(subtext, width / 2, height / 2 + 40);
-        }
-
-        return canvas;
-    }
-
-    createPanel(id, text, x, y, z) {
-        const canvas = this.createCanvasInput(text);
-        const texture = new THREE.CanvasTexture(canvas);
-
-        const geometry = new THREE.PlaneGeometry(2, 1);
+    createPanel(id, spec, x, y, z) {
         const material = new THREE.MeshBasicMaterial({
-            map: texture,
             transparent: true,
             opacity: 0.9,
             side: THREE.DoubleSide
         });
 
-        const mesh = new THREE.Mesh(geometry, material);
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 1), material);
         mesh.position.set(x, y, z);
-        mesh.userData = { id: id, originalScale: 1, type: 'panel' };
+        mesh.userData = { id: id, originalScale: 1, type: 'panel', spec };
+        this.panelRenderer.apply(mesh, spec);
 
         this.scene.add(mesh);
         this.panels.push(mesh);
@@ -218,528 +581,1936 @@ class UIManager {
     }
 
     initPanels() {
+        validateContent(CONTENT);
+
         // Main Menu Orb
         const orbGeo = new THREE.IcosahedronGeometry(0.5, 2);
         const orbMat = new THREE.MeshPhongMaterial({
-            color: CONFIG.colors.accent,
-            emissive: CONFIG.colors.secondary,
+            color: this.config.colors.accent,
+            emissive: this.config.colors.secondary,
             emissiveIntensity: 0.5,
             wireframe: true
         });
         this.menuOrb = new THREE.Mesh(orbGeo, orbMat);
         this.menuOrb.position.set(0, 1.5, 0);
-        this.menuOrb.userData = { id: 'menu_orb', type: 'button' };
+        this.menuOrb.userData = { id: 'menu_orb', type: 'button', label: this.i18n.t('scene.openMenu'), color: this.config.colors.accent, action: { type: 'openMenu' } };
         this.scene.add(this.menuOrb);
 
         // Menu Panels (Initially Hidden)
         this.menuGroup = new THREE.Group();
         this.menuGroup.visible = false;
-
-        this.createPanelInGroup('Experience', 0, 2.5, -2, this.menuGroup);
-        this.createPanelInGroup('Technology', -2.5, 1.5, -1, this.menuGroup);
-        this.createPanelInGroup('For Brands', 2.5, 1.5, -1, this.menuGroup);
-        this.createPanelInGroup('Contact', 0, 0.5, -2, this.menuGroup);
-
+        CONTENT.menu.forEach(item => this.menuGroup.add(this.createItem(item)));
         this.scene.add(this.menuGroup);
 
         // Sections Groups
-        this.sections = {
-            experience: this.createSectionGroup('experience'),
-            technology: this.createSectionGroup('technology'),
-            brands: this.createSectionGroup('brands'),
-            contact: this.createSectionGroup('contact')
-        };
-
-        // Populate Sections
-        this.buildExperienceSection();
-        this.buildTechSection();
-        this.buildBrandsSection();
-        this.buildContactSection();
+        this.sections = {};
+        this.sectionForms = {}; // section id -> { type, panel }
+        CONTENT.sections.forEach(section => {
+            const group = this.createSectionGroup(section.id);
+            section.items.forEach(item => group.add(this.createItem(item)));
+            this.sections[section.id] = group;
+
+            // Sub-pages wait hidden in the section's place
+            this.pages[section.id] = {};
+            (section.pages || []).forEach(page => {
+                const pageGroup = new THREE.Group();
+                pageGroup.name = page.id;
+                pageGroup.visible = false;
+                page.items.forEach(item => pageGroup.add(this.createItem(item)));
+                group.add(pageGroup);
+                this.pages[section.id][page.id] = pageGroup;
+            });
+            if (section.form) this.sectionForms[section.id] = section.form;
+        });
+        this.placeSections();
     }
 
+    // Sections stay in the world as places; only the open one takes input
     createSectionGroup(name) {
         const group = new THREE.Group();
-        group.visible = false;
+        group.name = name;
+        group.userData.inactive = true;
         this.scene.add(group);
         return group;
     }
 
-    buildExperienceSection() {
-        const group = this.sections.experience;
-        const panel = this.createPanel('exp_main', "Not a normal website", 0, 2, -2);
-        this.createCanvasContent(panel, "Everything is controlled", "by your hand gestures.");
-        group.add(panel);
-
-        // Add reactive cubes
-        for (let i = 0; i < 5; i++) {
-            const geo = new THREE.BoxGeometry(0.3, 0.3, 0.3);
-            const mat = new THREE.MeshBasicMaterial({ color: CONFIG.colors.accent, wireframe: true });
-            const mesh = new THREE.Mesh(geo, mat);
-            mesh.position.set((i - 2) * 0.8, 0.5, -1);
-            group.add(mesh);
+    // Around the ring in menu order (the swipe carousel), then any sections the menu doesn't open.
+    // Each place faces away from the hub, so its view looks outwards.
+    placeSections() {
+        this.carousel = CONTENT.menu
+            .filter(item => item.action && item.action.type === 'openSection' && this.sections[item.action.section])
+            .map(item => item.action.section);
+        const order = [...new Set([...this.carousel, ...Object.keys(this.sections)])];
+
+        order.forEach((id, i) => {
+            const angle = (i / order.length) * Math.PI * 2;
+            const group = this.sections[id];
+            group.position.set(Math.sin(angle) * CONFIG_SPACE.radius, 0, -Math.cos(angle) * CONFIG_SPACE.radius);
+            group.rotation.y = -angle;
+            this.places[id] = placeView(group);
+        });
+    }
 
-            // Animate
-            monitorRotation(mesh, i);
+    createItem(item) {
+        const local = localizeItem(this.i18n, item);
+        let mesh;
+        if (item.type === 'panel') {
+            mesh = this.createPanel(item.id, panelSpec(local), ...item.position);
+        } else {
+            mesh = this.createPrimitive(item);
         }
-        function monitorRotation(m, offset) {
-            gsap.to(m.rotation, { x: Math.PI * 2, duration: 2 + offset, repeat: -1, ease: 'none' });
+
+        mesh.userData.source = item; // Re-read on a language switch
+        if (item.action) mesh.userData.action = item.action;
+        if (local.label) mesh.userData.label = local.label;
+        if (item.disabled) this.setDisabled(mesh, true);
+
+        if (item.spin) {
+            const loop = gsap.to(mesh.rotation, { [item.spin.axis]: Math.PI * 2, duration: item.spin.duration, repeat: -1, ease: 'none' });
+            if (this.reducedMotion) loop.pause();
+            this.loops.push(loop);
         }
+        return mesh;
     }
 
-    buildTechSection() {
-        const group = this.sections.technology;
-        const panel = this.createPanel('tech_main', "Neural Technology", 0, 2, -2);
-        this.createCanvasContent(panel, "Powered by MediaPipe", "& Three.js WebGL");
-        group.add(panel);
-
-        // Wireframe Globe
-        const geo = new THREE.IcosahedronGeometry(1.2, 1);
-        const mat = new THREE.MeshBasicMaterial({ color: CONFIG.colors.secondary, wireframe: true });
-        const globe = new THREE.Mesh(geo, mat);
-        globe.position.set(0, 0, -1);
-        group.add(globe);
-        gsap.to(globe.rotation, { y: Math.PI * 2, duration: 10, repeat: -1, ease: 'none' });
+    createPrimitive(item) {
+        const geo = item.shape === 'icosahedron'
+            ? new THREE.IcosahedronGeometry(...item.size)
+            : new THREE.BoxGeometry(...item.size);
+        const mat = new THREE.MeshBasicMaterial({ color: resolveColor(this.config.colors, item.color), wireframe: !!item.wireframe });
+        const mesh = new THREE.Mesh(geo, mat);
+        mesh.position.set(...item.position);
+
+        // paint: the manifest color (key or hex), re-resolved when the theme changes
+        if (item.type === 'button') {
+            mesh.userData = { id: item.id, type: 'button', paint: item.color, color: resolveColor(this.config.colors, item.color) };
+        } else {
+            mesh.userData = { id: item.id, paint: item.color };
+        }
+        return mesh;
     }
 
-    buildBrandsSection() {
-        const group = this.sections.brands;
-        // 3 Cards
-        const card1 = this.createPanel('brand_1', "Luxury Auto", -2, 1.5, -1);
-        const card2 = this.createPanel('brand_2', "Tech Launch", 0, 1.5, -1.5);
-        const card3 = this.createPanel('brand_3', "Fashion Drop", 2, 1.5, -1);
+    getPanel(id) {
+        return this.panels.find(panel => panel.userData.id === id) || null;
+    }
 
-        group.add(card1, card2, card3);
+    // What can be selected right now, in reading order on screen (rows top to bottom, then left to right)
+    selectableTargets() {
+        const targets = [];
+        this.scene.traverse(node => { if (isInteractive(node) && !node.userData.disabled) targets.push(node); });
+
+        const camera = this.sceneManager.camera;
+        const screen = new Map(targets.map(mesh => [mesh, mesh.getWorldPosition(new THREE.Vector3()).project(camera)]));
+        return targets.sort((a, b) => {
+            const pa = screen.get(a);
+            const pb = screen.get(b);
+            return Math.abs(pa.y - pb.y) > 0.1 ? pb.y - pa.y : pa.x - pb.x;
+        });
     }
 
-    buildContactSection() {
-        const group = this.sections.contact;
-        const panel = this.createPanel('contact_main', "Bring the Future", 0, 2.5, -2);
-        this.createCanvasContent(panel, "Wave to Send", "Inquiry");
-        group.add(panel);
+    // Redraws a panel with new lines; without text, goes back to its manifest content
+    setPanelText(mesh, text, subtext = "") {
+        const spec = mesh.userData.spec;
+        this.panelRenderer.apply(mesh, text === undefined ? spec : { ...spec, title: text, subtitle: subtext, body: "" });
+        if (this.onItemChange) this.onItemChange(mesh);
+    }
 
-        // Submit Button
-        const btnGeo = new THREE.BoxGeometry(1.5, 0.5, 0.2);
-        const btnMat = new THREE.MeshBasicMaterial({ color: CONFIG.colors.accent });
-        const btn = new THREE.Mesh(btnGeo, btnMat);
-        btn.position.set(0, 1, -1);
-        btn.userData = { id: 'submit_btn', type: 'button' };
-        group.add(btn);
+    // Panels show 'idle' | 'hover' | 'pressed' | 'disabled' textures
+    setPanelState(mesh, state) {
+        if (mesh.userData.type === 'panel' && mesh.userData.panelState !== state) this.panelRenderer.setState(mesh, state);
     }
 
-    createCanvasContent(mesh, line1, line2) {
-        // Overlay text on existing texture or create new
-        // For simplicity reusing creation logic but customized
-        const canvas = this.createCanvasInput(line1, line2);
-        mesh.material.map = new THREE.CanvasTexture(canvas);
+    restingState(mesh) {
+        if (mesh.userData.disabled) return 'disabled';
+        return mesh.userData.hovered ? 'hover' : 'idle';
     }
 
-    createPanelInGroup(text, x, y, z, group) {
-        // Clean ID
-        const id = text.toLowerCase().replace(' ', '_');
-        const mesh = this.createPanel(id, text, x, y, z);
-        group.add(mesh);
-        // this.scene.remove(mesh); // Removed from scene root, added to group
+    // Disabled items stay visible but ignore select()
+    setDisabled(mesh, disabled) {
+        mesh.userData.disabled = disabled;
+        if (mesh.userData.type === 'panel') {
+            this.setPanelState(mesh, this.restingState(mesh));
+        } else {
+            this.paintPrimitive(mesh);
+        }
+        if (this.onItemChange) this.onItemChange(mesh);
     }
 
-    openMenu() {
-        if (this.currentSection !== 'home') this.closeSection(this.currentSection);
-        if (this.menuGroup.visible) return;
-
-        this.menuGroup.visible = true;
-        this.currentSection = 'menu';
-
-        // Hide Orb
-        gsap.to(this.menuOrb.scale, { x: 0, y: 0, z: 0, duration: 0.5 });
-
-        // Animate Panels In
-        this.menuGroup.children.forEach((child, i) => {
-            child.scale.set(0, 0, 0);
-            gsap.to(child.scale, {
-                x: 1, y: 1, z: 1,
-                duration: 0.5,
-                delay: i * 0.1,
-                ease: 'back.out(1.7)'
-            });
-        });
+    paintPrimitive(mesh) {
+        if (!mesh.material || !mesh.material.color || mesh.userData.color === undefined) return;
+        const { disabled, hovered, color } = mesh.userData;
+        mesh.material.color.setHex(disabled ? this.config.colors.muted : (hovered ? this.config.colors.secondary : color));
     }
 
-    closeMenu() {
-        if (!this.menuGroup.visible) return;
+    // Redraws panels and recolors primitives from config.colors (already set to the new theme)
+    setTheme() {
+        this.panelRenderer.colors = panelColors(this.config.colors);
+        this.panelRenderer.refreshAll();
 
-        this.menuGroup.children.forEach((child, i) => {
-            gsap.to(child.scale, {
-                x: 0, y: 0, z: 0,
-                duration: 0.3,
-                delay: 0,
-                onComplete: () => { if (i === 0) this.menuGroup.visible = false; }
-            });
-        });
+        this.menuOrb.userData.color = this.config.colors.accent;
+        this.menuOrb.material.emissive.setHex(this.config.colors.secondary);
+        this.paintPrimitive(this.menuOrb);
 
-        // Show Orb
-        gsap.to(this.menuOrb.scale, { x: 1, y: 1, z: 1, duration: 0.5, delay: 0.3 });
-        this.currentSection = 'home';
+        this.scene.traverse(node => {
+            if (node.userData.paint === undefined) return;
+            node.userData.color = resolveColor(this.config.colors, node.userData.paint);
+            this.paintPrimitive(node);
+        });
     }
 
-    openSection(name) {
-        this.closeMenu();
-        const group = this.sections[name];
-        if (group) {
-            group.visible = true;
-            this.currentSection = name;
-
-            // Animate In
-            group.children.forEach((child) => {
-                child.scale.set(0, 0, 0);
-                gsap.to(child.scale, { x: 1, y: 1, z: 1, duration: 0.5, ease: 'back.out(1)' });
-            });
-        }
+    // Panel fonts, direction and line spacing for the current language
+    applyScript() {
+        const script = this.i18n.script;
+        this.panelRenderer.setScript({ fontFamily: fontStack(script), direction: this.i18n.dir, lineScale: script.lineScale });
     }
 
-    closeSection(name) {
-        const group = this.sections[name];
-        if (group) {
-            group.visible = false;
-        }
+    // Language switch: item text and labels from the catalog, panels redrawn in the new script
+    setLocale() {
+        this.applyScript();
+        this.menuOrb.userData.label = this.i18n.t('scene.openMenu');
+        if (this.showcase.holder) this.showcase.holder.userData.label = this.i18n.t('scene.turntable');
+
+        this.scene.traverse(node => {
+            const item = node.userData.source;
+            if (!item) return;
+            const local = localizeItem(this.i18n, item);
+            if (local.label) node.userData.label = local.label;
+            if (node.userData.type === 'panel') {
+                node.userData.spec = panelSpec(local);
+                this.setPanelText(node);
+            }
+        });
+        this.showInquiryText(this.inquiry.status);
     }
 
-    hover(mesh) {
-        if (!mesh) return;
-        gsap.to(mesh.scale, { x: 1.2, y: 1.2, z: 1.2, duration: 0.3 });
-        if (mesh.material && mesh.material.color) mesh.material.color.setHex(CONFIG.colors.secondary);
+    // Pauses the looping spins (cubes, globe, showcase turntable) rather than killing them
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.showcase.setReducedMotion(reduced);
+        this.loops.forEach(loop => (reduced ? loop.pause() : loop.resume()));
     }
 
-    unhover(mesh) {
-        if (!mesh) return;
-        gsap.to(mesh.scale, { x: 1, y: 1, z: 1, duration: 0.3 });
-        if (mesh.material && mesh.material.color) mesh.material.color.setHex(CONFIG.colors.accent);
-        // For panels with map, we might want to redraw texture or overlay.
-        // Simple scale is enough for MVP.
+    inquiryPanel() {
+        const form = Object.values(this.sectionForms).find(f => f.type === 'inquiry');
+        return form && form.panel ? this.getPanel(form.panel) : null;
     }
 
-    select(mesh) {
-        if (!mesh) return;
-        const id = mesh.userData.id;
-        console.log("Selected:", id);
-
-        if (id === 'menu_orb') {
-            this.openMenu();
-        } else if (id === 'submit_btn') {
-            alert("Sent! (Simulation)");
-            this.back();
-        } else if (this.sections[id]) {
-            this.openSection(id);
-        } else if (id.startsWith('brand')) {
-            // Demo brand interaction
-            gsap.to(mesh.rotation, { y: mesh.rotation.y + Math.PI, duration: 0.5 });
-        } else {
-            // Default bounce
-            gsap.to(mesh.rotation, { y: mesh.rotation.y + Math.PI * 2, duration: 0.5 });
-        }
+    // Contact panel text per status; idle (no catalog entry) is the manifest text
+    showInquiryText(status) {
+        const panel = this.inquiryPanel();
+        if (!panel) return;
+        const key = `inquiry.panel.${status}`;
+        if (this.i18n.has(`${key}.title`)) this.setPanelText(panel, this.i18n.t(`${key}.title`), this.i18n.t(`${key}.subtitle`));
+        else this.setPanelText(panel);
     }
 
-    back() {
-        if (this.currentSection === 'menu') {
-            this.closeMenu();
-        } else if (this.currentSection !== 'home') {
-            // Close current section, open menu
-            this.closeSection(this.currentSection);
-            this.openMenu();
+    // Mirrors the inquiry form state on the contact section's panel
+    renderInquiryStatus(status) {
+        const panel = this.inquiryPanel();
+        if (!panel) return;
+
+        if (status !== 'editing' && status !== 'idle') this.analytics.emit('inquiry', { status });
+        this.showInquiryText(status);
+
+        // No double submits while a request is in flight
+        panel.parent.children
+            .filter(child => child.userData.action && child.userData.action.type === 'submit')
+            .forEach(button => this.setDisabled(button, status === 'sending'));
+
+        clearTimeout(this.inquiryResetTimer);
+        if (status === 'sent' || status === 'queued') {
+            this.inquiryResetTimer = setTimeout(() => {
+                this.setPanelText(panel);
+                if (this.sectionForms[this.currentSection]) this.back();
+            }, 2500);
         }
     }
-}
-
-
-class HandTracker {
-    constructor(sceneManager, uiManager) {
-        this.sceneManager = sceneManager;
-        this.uiManager = uiManager; // Store Ref
-        this.vision = null;
-        this.handLandmarker = null;
-        this.webcamRunning = false;
-        this.video = document.getElementById('webcam');
-        this.canvas = document.getElementById('output_canvas');
-        this.ctx = this.canvas.getContext('2d');
-
-        // 3D Cursor
-        this.cursorMesh = new THREE.Mesh(
-            new THREE.RingGeometry(0.1, 0.12, 32),
-            new THREE.MeshBasicMaterial({ color: CONFIG.colors.accent, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
-        );
-        this.cursorMesh.visible = false;
-        this.sceneManager.scene.add(this.cursorMesh);
 
-        // Raycaster for interactions
-        this.raycaster = new THREE.Raycaster();
-        this.lastVideoTime = -1;
+    // Where the visitor is: 'home' | 'menu' | section id
+    get currentSection() {
+        return this.navigation.state.section;
+    }
 
-        this.lastHovered = null; // Track hover state
-        this.pinchDebounce = 0; // Prevent rapid fires
+    openMenu() {
+        this.navigation.request(MENU);
+    }
 
-        this.initMediaPipe();
+    // Swipes step through the sections like a carousel; from home or the menu they start at either end.
+    // Worked out when the move runs, so swipes queued behind an animation keep counting.
+    stepSection(step) {
+        const order = this.carousel;
+        if (!order.length) return;
+        this.navigation.request(() => {
+            const index = order.indexOf(this.currentSection);
+            const next = index < 0 ? (step > 0 ? 0 : order.length - 1) : (index + step + order.length) % order.length;
+            return { section: order[next], item: null };
+        });
     }
 
-    async initMediaPipe() {
-        // Import MediaPipe tasks-vision modules
-        const { FilesetResolver, HandLandmarker } = await import("https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0");
+    // A section's own items (not its pages or the showcase)
+    sectionItems(section) {
+        const group = this.sections[section];
+        return group ? group.children.filter(child => child.userData.source) : [];
+    }
 
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-        );
+    // The page group or showcase card a subsection route points at
+    findSubsection({ section, item }) {
+        const page = (this.pages[section] || {})[item];
+        if (page) return { page };
+        const card = this.sectionItems(section).find(child =>
+            child.userData.id === item && child.userData.action && child.userData.action.type === 'showcase');
+        return card ? { card } : null;
+    }
 
-        this.handLandmarker = await HandLandmarker.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-                delegate: "GPU"
-            },
-            runningMode: "VIDEO",
-            numHands: 1
-        });
+    routeExists({ section, item }) {
+        if (section === 'home' || section === 'menu') return !item;
+        if (!this.sections[section]) return false;
+        return !item || !!this.findSubsection({ section, item });
+    }
 
-        console.log("MediaPipe HandLandmarker loaded");
+    // One timeline per move, so the machine can wait for it or cut it short
+    playTransition(from, to, { exits, enters }) {
+        const timeline = gsap.timeline();
+        this.timeline = timeline;
+        exits.forEach(({ level, route }) => this.exitState(level, route, to, timeline));
+        enters.forEach(({ level, route }) => this.enterState(level, route, from, timeline));
+        if (!timeline.duration()) return undefined;
+        return new Promise(resolve => timeline.eventCallback('onComplete', resolve));
     }
 
-    async startWebcam() {
-        if (!this.handLandmarker) {
-            console.warn("HandLandmarker not loaded yet.");
-            return;
+    // Left states stop taking input at once; their animations only follow
+    exitState(level, route, to, timeline) {
+        switch (level) {
+            case 'home':
+                this.menuOrb.userData.inactive = true;
+                timeline.to(this.menuOrb.scale, { x: 0, y: 0, z: 0, duration: 0.5 }, 0);
+                break;
+            case 'menu':
+                this.menuGroup.userData.inactive = true;
+                this.hideGroup(this.menuGroup, timeline);
+                break;
+            case 'section': {
+                const { section } = route;
+                if (this.sectionForms[section]) this.inquiry.hide();
+                this.analytics.emit('section_close', { section, dwellMs: Math.round(performance.now() - this.sectionOpenedAt) });
+                this.sections[section].userData.inactive = true;
+                break;
+            }
+            case 'subsection': {
+                const { page } = this.findSubsection(route);
+                if (page) this.hideGroup(page, timeline);
+                else this.showcase.close();
+                // Another page or card of the same section keeps the items tucked away
+                if (to.item && to.section === route.section) break;
+                this.unfold(this.sectionItems(route.section), timeline);
+                break;
+            }
         }
+    }
 
-        const constraints = {
-            video: {
-                width: 1280,
-                height: 720
+    enterState(level, route, from, timeline) {
+        switch (level) {
+            case 'home':
+                this.menuOrb.userData.inactive = false;
+                timeline.to(this.menuOrb.scale, { x: 1, y: 1, z: 1, duration: 0.5 }, 0.3);
+                break;
+            case 'menu':
+                this.menuGroup.visible = true;
+                this.menuGroup.userData.inactive = false;
+                this.menuGroup.children.forEach((child, i) => {
+                    timeline.fromTo(child.scale, { x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1, duration: 0.5, ease: 'back.out(1.7)' }, i * 0.1);
+                });
+                break;
+            case 'section': {
+                const { section } = route;
+                this.sections[section].userData.inactive = false; // routeChanged() flies the camera there
+                if (this.sectionForms[section]) this.inquiry.show();
+                this.sectionOpenedAt = performance.now();
+                this.analytics.emit('section_open', { section });
+                break;
             }
-        };
-
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.video.srcObject = stream;
-
-            // Wait for video to load properties
-            this.video.addEventListener('loadeddata', () => {
-                this.webcamRunning = true;
-                this.video.play();
-                this.canvas.width = this.video.videoWidth;
-                this.canvas.height = this.video.videoHeight;
-                console.log("Webcam started");
-
-                // Show feedback
-                const prompt = document.getElementById('start-prompt');
-                if (prompt) {
-                    prompt.innerHTML = `<h1 class="text-4xl md:text-6xl font-display font-black leading-tight mb-6">SYSTEM ACTIVE</h1><p>Raise your hand to see the cursor.</p>`;
+            case 'subsection': {
+                const { page, card } = this.findSubsection(route);
+                if (!(from.item && from.section === route.section)) this.tuck(this.sectionItems(route.section), timeline);
+                if (page) {
+                    page.visible = true;
+                    page.children.forEach(child => {
+                        timeline.fromTo(child.scale, { x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1, duration: 0.4, ease: 'back.out(1)' }, 0.2);
+                    });
+                } else {
+                    // Brand card -> 3D product view inside the same section
+                    this.showcase.open(card.userData.action, this.sections[route.section]);
+                    this.analytics.emit('showcase_open', { id: card.userData.id });
                 }
-            });
-        } catch (error) {
-            console.error("Error accessing webcam:", error);
-            alert("Camera access denied or error. Switching to mouse mode.");
-            // Fallback to mouse
-            const app = window.appInstance; // Hacky access if needed, better pass callback
-            if (app) app.startMouseExperience();
+                break;
+            }
         }
     }
 
-    detect() {
-        if (!this.webcamRunning || !this.handLandmarker) return;
-
-        let startTimeMs = performance.now();
-        if (this.video.currentTime !== this.lastVideoTime) {
-            this.lastVideoTime = this.video.currentTime;
+    // A section's items make way for one of its pages or cards, and come back after
+    tuck(items, timeline) {
+        items.forEach(child => {
+            child.userData.inactive = true;
+            gsap.killTweensOf(child.scale); // Hover
+        });
+        timeline.to(items.map(child => child.scale), { x: 0, y: 0, z: 0, duration: 0.3 }, 0);
+        timeline.call(() => items.forEach(child => { child.visible = false; }), null, 0.3);
+    }
 
-            const results = this.handLandmarker.detectForVideo(this.video, startTimeMs);
+    unfold(items, timeline) {
+        items.forEach(child => {
+            child.userData.inactive = false;
+            child.visible = true;
+            timeline.to(child.scale, { x: 1, y: 1, z: 1, duration: 0.4, ease: 'back.out(1)' }, 0);
+        });
+    }
 
-            this.ctx.save();
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    // Shrinks a group's children, then hides it (once all of them are down, not the first)
+    hideGroup(group, timeline) {
+        timeline.to(group.children.map(child => child.scale), { x: 0, y: 0, z: 0, duration: 0.3 }, 0);
+        timeline.call(() => { group.visible = false; }, null, 0.3);
+    }
 
-            if (results.landmarks && results.landmarks.length > 0) {
-                // Hand detected
-                const landmarks = results.landmarks[0];
+    hover(mesh) {
+        if (!mesh || mesh.userData.manipulable) return;
+        mesh.userData.hovered = true;
+        if (mesh.userData.disabled) return;
 
-                // Debug draw
-                if (CONFIG.debug) {
-                    this.drawDebug(landmarks);
-                }
+        gsap.to(mesh.scale, { x: 1.2, y: 1.2, z: 1.2, duration: 0.3 });
+        // Panels swap to their hover texture; tinting would wash out the canvas
+        if (mesh.userData.type === 'panel') this.setPanelState(mesh, 'hover');
+        else this.paintPrimitive(mesh);
+    }
 
-                // Update 3D Cursor & Raycast
-                this.updateCursor(landmarks);
+    unhover(mesh) {
+        if (!mesh || mesh.userData.manipulable) return;
+        mesh.userData.hovered = false;
+        if (mesh.userData.disabled) return;
 
-                // Handle Interactions (Hover/Select)
-                this.handleInteractions();
+        gsap.to(mesh.scale, { x: 1, y: 1, z: 1, duration: 0.3 });
+        if (mesh.userData.type === 'panel') this.setPanelState(mesh, 'idle');
+        else this.paintPrimitive(mesh);
+    }
 
-                // Recognize Gestures (Fist/Pinch)
-                this.recognizeGesture(landmarks);
+    // source: 'hand' | 'dwell' | 'scan' | 'keyboard' | 'pointer', for analytics
+    select(mesh, source = 'pointer') {
+        if (!mesh || mesh.userData.disabled) return;
+        const { id, action } = mesh.userData;
+        console.log("Selected:", id);
+        this.analytics.emit('select', { id, source });
 
-            } else {
-                this.cursorMesh.visible = false;
-                if (this.lastHovered) {
-                    this.uiManager.unhover(this.lastHovered);
-                    this.lastHovered = null;
-                }
-            }
-            this.ctx.restore();
+        // Brief pressed frame before settling back
+        if (mesh.userData.type === 'panel') {
+            this.setPanelState(mesh, 'pressed');
+            gsap.delayedCall(0.15, () => this.setPanelState(mesh, this.restingState(mesh)));
         }
-    }
 
-    drawDebug(landmarks) {
-        // Simple debug drawing
-        this.ctx.fillStyle = "#00FF00";
-        for (const landmark of landmarks) {
-            const x = landmark.x * this.canvas.width;
-            const y = landmark.y * this.canvas.height;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 5, 0, 2 * Math.PI);
-            this.ctx.fill();
+        switch (action && action.type) {
+            case 'openMenu':
+                this.openMenu();
+                break;
+            case 'openSection':
+                this.navigation.request({ section: action.section, item: null });
+                break;
+            case 'openUrl':
+                window.open(action.url, action.target || '_blank', 'noopener');
+                break;
+            case 'flip':
+                gsap.to(mesh.rotation, { y: mesh.rotation.y + Math.PI, duration: 0.5 });
+                break;
+            case 'submit':
+                this.inquiry.submit();
+                break;
+            case 'showcase':
+                this.navigation.request({ section: this.currentSection, item: mesh.userData.id });
+                break;
+            case 'openPage':
+                this.navigation.request({ section: this.currentSection, item: action.page });
+                break;
+            case 'inspect':
+                this.showcase.toggleSpin();
+                break;
+            default:
+                // Default bounce
+                gsap.to(mesh.rotation, { y: mesh.rotation.y + Math.PI * 2, duration: 0.5 });
         }
     }
 
-    updateCursor(landmarks) {
-        // Use Index Finger Tip (8) for cursor position
-        const indexTip = landmarks[8];
-
-        // Map normalized coordinates (0-1) to 3D space (-1 to 1 range roughly, scaled by distance)
-        // Camera is at 5 z, looking at 0.
-        // Screen plane at z=0 is approx width 6 units.
-
-        const x = (1 - indexTip.x) * 2 - 1; // Mirror x
-        const y = (1 - indexTip.y) * 2 - 1;
+    // Where the visitor is, as { section, item } ('home' | 'menu' | section id; item = open page or showcase card)
+    get route() {
+        return { ...this.navigation.state };
+    }
 
-        // Smooth cursor movement (Basic Lerp)
-        const targetPos = new THREE.Vector3(x * 6, y * 3.5, 0); // Increased range for better reach
-        this.cursorMesh.position.lerp(targetPos, 0.2);
-        this.cursorMesh.visible = true;
+    // A jump can take two moves (section, then its page); fly and report once, after the last one
+    routeChanged() {
+        if (this.routePending) return;
+        this.routePending = true;
+        queueMicrotask(() => {
+            this.routePending = false;
+            this.sceneManager.flyTo(this.places[this.currentSection] || this.sceneManager.home);
+            if (this.onRouteChange) this.onRouteChange(this.route);
+            if (this.onNavigate) this.onNavigate(this.route);
+        });
+    }
 
-        // Update Raycaster from camera
-        const ndc = new THREE.Vector2(x, y);
-        this.raycaster.setFromCamera(ndc, this.sceneManager.camera);
+    // The current route's items, from the navigation state: visibility lags behind while groups tween
+    routeTargets() {
+        const { section, item } = this.navigation.state;
+        const selectable = children => children.filter(child => child.userData.type === 'panel' || child.userData.type === 'button');
+        if (section === 'home') return [this.menuOrb];
+        if (section === 'menu') return selectable(this.menuGroup.children);
+        if (!item) return selectable(this.sectionItems(section));
+
+        const { page } = this.findSubsection({ section, item });
+        if (page) return selectable(page.children);
+        return this.showcase.holder ? [this.showcase.holder] : [];
     }
 
-    handleInteractions() {
-        const intersects = this.raycaster.intersectObjects(this.sceneManager.scene.children, true);
+    // Where the visitor is, in words: sections are named after the menu panel that opens them,
+    // pages and cards after the panel in the section that does
+    describeRoute({ section, item } = this.route) {
+        if (item) {
+            const opener = this.sectionItems(section).find(child =>
+                child.userData.id === item || (child.userData.action && child.userData.action.page === item));
+            return `${this.describeRoute({ section })}: ${opener ? opener.userData.spec.title : item}`;
+        }
+        if (section === 'home') return this.i18n.t('scene.home');
+        if (section === 'menu') return this.i18n.t('scene.menu');
 
-        // Filter interacts to only UI panels/buttons
-        const hit = intersects.find(i => i.object.userData.type === 'panel' || i.object.userData.type === 'button');
+        const entry = CONTENT.menu.find(menuItem => menuItem.action && menuItem.action.section === section);
+        return entry ? localizeItem(this.i18n, entry).text : section;
+    }
 
-        if (hit) {
-            if (this.lastHovered !== hit.object) {
-                if (this.lastHovered) this.uiManager.unhover(this.lastHovered);
-                this.uiManager.hover(hit.object);
-                this.lastHovered = hit.object;
-            }
-        } else {
-            if (this.lastHovered) {
-                this.uiManager.unhover(this.lastHovered);
-                this.lastHovered = null;
-            }
-        }
+    // Jumps straight to a route (deep links, browser Back / Forward, kiosk tour); unknown routes end up home
+    navigate(route) {
+        this.navigation.jump(route);
     }
 
-    recognizeGesture(landmarks) {
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-        const indexPip = landmarks[6];
-        const middleTip = landmarks[12];
-        const ringTip = landmarks[16];
-        const pinkyTip = landmarks[20];
-
-        // 1. Pinch Detection (Thumb + Index distance)
-        const pinchDist = Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y);
-        const isPinch = pinchDist < 0.05;
-
-        if (isPinch) {
-            this.setCursorState('pinch');
-            if (this.pinchDebounce <= 0 && this.lastHovered) {
-                this.uiManager.select(this.lastHovered); // Trigger Interaction
-                this.pinchDebounce = 30; // Cooldown frames
-            }
-        } else {
-            this.setCursorState('open');
-        }
+    // Up one level, after whatever is animating
+    back() {
+        this.navigation.back();
+    }
 
-        if (this.pinchDebounce > 0) this.pinchDebounce--;
+    dispose() {
+        clearTimeout(this.inquiryResetTimer);
+        if (this.timeline) this.timeline.kill();
+        this.showcase.dispose();
+        this.inquiry.dispose();
+        this.panels.forEach(panel => this.panelRenderer.dispose(panel));
+    }
+}
 
-        // 2. Fist Detection
-        const isFist = (
-            indexTip.y > indexPip.y &&
-            middleTip.y > landmarks[10].y &&
-            ringTip.y > landmarks[14].y &&
-            pinkyTip.y > landmarks[18].y
-        );
 
-        if (isFist) {
-            if (this.pinchDebounce <= 0) {
-                this.uiManager.back();
-                this.pinchDebounce = 30;
-                console.log("Back Gesture");
-            }
-        }
+// Disposes everything GPU-side under an object (geometries, materials, textures)
+function disposeObject(root) {
+    root.traverse(node => {
+        if (node.geometry) node.geometry.dispose();
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.forEach(material => {
+            if (!material) return;
+            Object.values(material).forEach(value => { if (value && value.isTexture) value.dispose(); });
+            material.dispose();
+        });
+    });
+}
 
-        // 3. Swipe Detection (Simple X movement avg)
-        this.trackSwipe(indexTip);
+// On-demand GLB product viewer (Draco-compressed models supported).
+// The model sits inside an invisible hit sphere tagged manipulable, so the
+// two-hand grab and pointer drag rotate/scale it; selecting it toggles a turntable spin.
+class ModelShowcase {
+    constructor(sceneManager, config, i18n) {
+        this.sceneManager = sceneManager;
+        this.config = config;
+        this.i18n = i18n;
+        this.group = null;
+        this.parent = null;
+        this.active = false;
+        this.loadId = 0; // Bumped on close so a late load is discarded
+        this.gltfLoader = null;
+        this.reducedMotion = false; // No turntable or spinning placeholder
     }
 
-    trackSwipe(tip) {
-        if (!this.swipeHistory) this.swipeHistory = [];
-        this.swipeHistory.push({ x: tip.x, time: Date.now() });
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        [this.spinTween, this.placeholderTween].forEach(tween => {
+            if (tween) reduced ? tween.pause() : tween.resume();
+        });
+    }
 
-        // Keep last 10 frames (~300ms)
-        if (this.swipeHistory.length > 10) this.swipeHistory.shift();
+    getLoader() {
+        if (!this.gltfLoader) {
+            const draco = new DRACOLoader(this.sceneManager.loadingManager);
+            draco.setDecoderPath(this.config.assets.dracoPath);
+            this.gltfLoader = new GLTFLoader(this.sceneManager.loadingManager);
+            this.gltfLoader.setDRACOLoader(draco);
+        }
+        return this.gltfLoader;
+    }
 
-        if (this.swipeHistory.length === 10) {
-            const first = this.swipeHistory[0];
-            const last = this.swipeHistory[9];
-            const dx = last.x - first.x;
-            const dt = last.time - first.time;
+    open(options, parent) {
+        if (this.active) this.close();
+        this.active = true;
+        this.parent = parent;
+        const loadId = ++this.loadId;
+
+        this.group = new THREE.Group();
+        this.group.position.set(...(options.position || [0, 1.5, 0]));
+        parent.add(this.group);
+
+        // Hit volume: invisible but raycastable, carries the interaction tags
+        const size = options.size || 1.6;
+        this.holder = new THREE.Mesh(
+            new THREE.SphereGeometry(size * 0.6, 16, 12),
+            new THREE.MeshBasicMaterial({ visible: false })
+        );
+        this.holder.userData = { id: 'showcase_model', type: 'button', label: this.i18n.t('scene.turntable'), manipulable: true, scalable: true, action: { type: 'inspect' } };
+        this.group.add(this.holder);
 
-            if (dt < 500 && Math.abs(dx) > 0.2) { // Fast, significant movement
-                if (this.pinchDebounce <= 0) {
-                    const dir = dx > 0 ? 'left' : 'right'; // Screen coords mirror
-                    // console.log("Swipe", dir);
-                    this.sceneManager.rotateCamera(dir === 'left' ? -0.5 : 0.5);
-                    this.pinchDebounce = 20;
-                    this.swipeHistory = []; // Reset
-                }
+        // Placeholder while loading
+        this.placeholder = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(size * 0.3, 1),
+            new THREE.MeshBasicMaterial({ color: this.config.colors.accent, wireframe: true, transparent: true, opacity: 0.6 })
+        );
+        this.group.add(this.placeholder);
+        this.placeholderTween = gsap.to(this.placeholder.rotation, { y: Math.PI * 2, x: Math.PI, duration: 3, repeat: -1, ease: 'none' });
+        if (this.reducedMotion) this.placeholderTween.pause();
+
+        this.group.scale.set(0, 0, 0);
+        gsap.to(this.group.scale, { x: 1, y: 1, z: 1, duration: 0.5, ease: 'back.out(1.4)' });
+
+        this.getLoader().loadAsync(options.model, (event) => {
+            if (event.total) this.placeholder.scale.setScalar(0.6 + 0.4 * (event.loaded / event.total));
+        }).then(gltf => {
+            if (loadId !== this.loadId) {
+                disposeObject(gltf.scene); // Closed while loading
+                return;
             }
-        }
+            this.showModel(gltf.scene, size);
+        }).catch(error => {
+            if (loadId !== this.loadId) return;
+            console.error("Error loading showcase model:", error);
+            this.placeholderTween.kill();
+            this.placeholder.material.color.setHex(0xef4444);
+        });
     }
 
-    setCursorState(state) {
-        if (state === 'pinch') {
-            this.cursorMesh.material.color.set(CONFIG.colors.secondary);
-            this.cursorMesh.scale.set(0.8, 0.8, 0.8);
+    showModel(model, size) {
+        // Center and fit into `size` units
+        const box = new THREE.Box3().setFromObject(model);
+        const dims = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const scale = size / Math.max(dims.x, dims.y, dims.z, 1e-6);
+        model.position.copy(center).multiplyScalar(-scale);
+        model.scale.setScalar(scale);
+
+        this.placeholderTween.kill();
+        this.group.remove(this.placeholder);
+        disposeObject(this.placeholder);
+        this.placeholder = null;
+
+        this.model = model;
+        this.holder.add(model);
+        model.scale.multiplyScalar(0.01);
+        gsap.to(model.scale, { x: scale, y: scale, z: scale, duration: 0.6, ease: 'back.out(1.2)' });
+        if (!this.reducedMotion) this.toggleSpin(); // Still one select away
+    }
+
+    toggleSpin() {
+        if (!this.holder) return;
+        // A grab or drag may have killed the tween; reduced motion may have paused it
+        if (this.spinTween && (this.spinTween.isActive() || this.spinTween.paused())) {
+            this.spinTween.kill();
+            this.spinTween = null;
         } else {
-            this.cursorMesh.material.color.set(CONFIG.colors.accent);
-            this.cursorMesh.scale.set(1, 1, 1);
+            this.spinTween = gsap.to(this.holder.rotation, { y: `+=${Math.PI * 2}`, duration: 12, repeat: -1, ease: 'none' });
         }
     }
+
+    close() {
+        if (!this.active) return;
+        this.active = false;
+        this.loadId++;
+
+        if (this.spinTween) this.spinTween.kill();
+        if (this.placeholderTween) this.placeholderTween.kill();
+        this.spinTween = null;
+        this.placeholderTween = null;
+
+        gsap.killTweensOf(this.group.scale);
+        this.group.removeFromParent();
+        disposeObject(this.group);
+
+        this.group = null;
+        this.holder = null;
+        this.model = null;
+        this.placeholder = null;
+        this.parent = null;
+    }
+
+    dispose() {
+        this.close();
+        if (this.gltfLoader) this.gltfLoader.dracoLoader.dispose();
+        this.gltfLoader = null;
+    }
 }
 
-const CONFIG_GYRO = {
-    sensitivity: 0.05,
-    maxTilt: 20
+// Gesture -> action bindings (GESTURE_BINDINGS in future-gestures.js, shared with
+// headless replays). Actions are defined in HandTracker.actions;
+// options override a recognizer's defaults (thresholds, holdMs, cooldownMs).
+const CONFIG_GESTURES = {
+    ...GESTURE_BINDINGS,
+    options: {}
 };
 
-class GyroController {
-    constructor(sceneManager) {
-        this.sceneManager = sceneManager;
-        this.enabled = false;
-        this.targetBeta = 0;
-        this.targetGamma = 0;
-        this.currentBeta = 0;
-        this.currentGamma = 0;
-        this.initialBeta = null;
-        this.initialGamma = null;
-    }
+// Cursor smoothing (One Euro filter, NDC units) and reach calibration
+const CONFIG_CURSOR = {
+    filter: { minCutoff: 1.0, beta: 1.5, dCutoff: 1.0 },
+    calibration: { holdMs: 800, tolerance: 0.03 },
+    storageKey: 'future.reachCalibration'
+};
 
-    async requestPermission() {
-        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
-            try {
+// First-visit gesture tutorial, run after reach calibration
+const CONFIG_ONBOARDING = {
+    steps: ['open_palm', 'point', 'pinch', 'fist'],
+    repeats: 2, // Times each gesture has to fire before it's ticked off
+    storageKey: 'future.onboarded'
+};
+
+// What the tutorial shows for each gesture (label and hint: onboarding.steps in the catalog)
+const ONBOARDING_ICONS = {
+    open_palm: '✋',
+    point: '👉',
+    pinch: '🤏',
+    fist: '👊'
+};
+
+// How a hand selects (see future-selection.js); the visitor's choice is remembered
+const CONFIG_SELECTION = {
+    mode: 'pinch', // 'pinch' | 'release' | 'dwell' | 'scan'
+    dwellMs: 1200, // Hover time that selects in dwell mode
+    scanStepMs: 1500, // Time on each target in scan mode
+    storageKey: 'future.selectionMode'
+};
+
+// Loading tasks behind HandTracker.ready, in order
+const MODEL_TASKS = ['vision', 'model', 'landmarker'];
+
+// Hand inference runs in a worker (future-hand-worker.js) when the browser allows,
+// otherwise on the main thread as before
+const CONFIG_INFERENCE = {
+    worker: true, // false forces the in-thread path
+    maxFps: 30 // Frames sent to the worker per second, at most
+};
+
+// Camera choice and stream health (see future-camera.js)
+const CONFIG_CAMERA = {
+    storageKey: 'future.camera', // deviceId picked in the camera menu
+    muteGrace: 3000, // ms a muted track may stay silent before it counts as lost
+    retryDelay: 1000 // ms before reopening a lost camera (once)
+};
+
+// Imports tasks-vision and its WASM fileset on the main thread
+async function loadVisionTasks(visionModule, wasmPath) {
+    const { FilesetResolver, HandLandmarker } = await import(visionModule);
+    return { HandLandmarker, vision: await FilesetResolver.forVisionTasks(wasmPath) };
+}
+
+// Page side of future-hand-worker.js: request/reply for setup, then frames out
+// (one in flight at a time) and results back through onResults
+class HandWorker {
+    static get supported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+    }
+
+    constructor() {
+        // Classic, not { type: 'module' }: the vision bundle loads its wasm loader with
+        // importScripts, which throws in module workers. import() still works in either.
+        this.worker = new Worker(new URL('./future-hand-worker.js', import.meta.url));
+        this.pending = null; // { reply, resolve, reject } for init / load
+        this.busy = false; // A frame is being processed
+        this.onResults = null; // (results, time) => {}
+
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        // Script or module failed to load, or an uncaught error inside the worker
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.onMessage({ type: 'error', step: this.pending ? 'setup' : 'detect', message: e.message || 'Worker error' });
+        };
+    }
+
+    request(message, reply) {
+        return new Promise((resolve, reject) => {
+            this.pending = { reply, resolve, reject };
+            this.worker.postMessage(message);
+        });
+    }
+
+    init(visionModule, wasmPath) {
+        return this.request({ type: 'init', visionModule, wasmPath }, 'vision');
+    }
+
+    // The model is copied, not transferred, so the in-thread fallback can still use it
+    load(model, numHands) {
+        return this.request({ type: 'load', model, numHands }, 'ready');
+    }
+
+    onMessage(message) {
+        if (message.type === 'results') {
+            this.busy = false;
+            if (this.onResults) this.onResults(message.results, message.time);
+            return;
+        }
+        if (message.type === 'error' && message.step === 'detect') {
+            this.busy = false;
+            console.error("Hand worker detect failed:", message.message);
+            return;
+        }
+
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+        if (message.type === 'error') pending.reject(new Error(message.message));
+        else pending.resolve(message);
+    }
+
+    async send(video, time) {
+        this.busy = true;
+        try {
+            const frame = await createImageBitmap(video);
+            this.worker.postMessage({ type: 'detect', frame, time }, [frame]);
+        } catch (error) {
+            this.busy = false;
+            console.error("Could not capture camera frame:", error);
+        }
+    }
+
+    terminate() {
+        this.worker.terminate();
+        if (this.pending) this.pending.reject(new Error('Hand worker terminated'));
+        this.pending = null;
+    }
+}
+
+class HandTracker {
+    constructor(sceneManager, uiManager, loader, root, analytics, config, i18n) {
+        this.sceneManager = sceneManager;
+        this.analytics = analytics;
+        this.config = config;
+        this.i18n = i18n;
+        this.cameraStartedAt = null; // Until the first hand shows up
+        this.uiManager = uiManager; // Store Ref
+        this.loader = loader;
+        this.vision = null;
+        this.handLandmarker = null; // In-thread inference
+        this.worker = null; // ...or a HandWorker
+        this.webcamRunning = false;
+        this.root = root;
+        this.video = ref(root, 'webcam');
+
+        this.lastVideoTime = -1;
+        this.lastInferenceTime = 0;
+        this.inferenceFps = CONFIG_INFERENCE.maxFps; // Lowered by the quality governor
+        this.lastResultAt = 0;
+        this.resultInterval = 1000 / CONFIG_INFERENCE.maxFps; // Smoothed time between worker results
+        this.inferenceMs = 0; // Smoothed detect time (worker: frame sent -> results back)
+
+        // Per-hand cursor, raycaster and hover target
+        this.hands = {
+            Left: this.createHand('Left'),
+            Right: this.createHand('Right')
+        };
+        this.hovered = new Set(); // Union of what both hands hover
+
+        // Reach region -> viewport, measured once per visitor
+        this.mapping = new CursorMapping(this.loadCalibration());
+        this.calibration = null;
+        this.cursorPlane = new THREE.Plane();
+        this.calibrationUI = {
+            root: ref(root, 'calibration'),
+            text: ref(root, 'calibration-text'),
+            corners: ref(root, 'calibration').querySelectorAll('[data-corner]'),
+            btnSkip: ref(root, 'btn-skip-calibration')
+        };
+        this.calibrationUI.btnSkip.addEventListener('click', () => this.finishCalibration(null));
+
+        // Gesture tutorial, once per visitor; gestures are practised, not acted on
+        this.onboarding = null;
+        this.onboardingUI = {
+            root: ref(root, 'onboarding'),
+            prompt: ref(root, 'onboarding-prompt'),
+            steps: ref(root, 'onboarding-steps'),
+            meter: ref(root, 'onboarding-meter'),
+            live: ref(root, 'onboarding-live'),
+            btnSkip: ref(root, 'btn-skip-onboarding')
+        };
+        this.onboardingUI.btnSkip.addEventListener('click', () => this.finishOnboarding(true));
+
+        // Gestures: each recognizer keeps its own hold time and cooldown, per hand
+        this.gestures = new GestureRouter(CONFIG_GESTURES);
+        this.manipulation = null; // Two-hand grab in progress
+        this.actions = {
+            select: (hand) => {
+                if (this.selectionMode === 'release') return; // Selects when the pinch opens (updateSelection)
+                if (this.selectionMode === 'scan') {
+                    this.selectScanned(); // The pinch is the switch
+                    return;
+                }
+                if (hand.hovered) this.uiManager.select(hand.hovered, 'hand');
+                else this.analytics.emit('select_miss', { hand: hand.name });
+            },
+            back: () => this.uiManager.back(),
+            openMenu: () => this.uiManager.openMenu(),
+            nextSection: () => this.uiManager.stepSection(1),
+            previousSection: () => this.uiManager.stepSection(-1)
+        };
+        this.actionLog = []; // Actions fired during a replay, checked when it ends
+
+        // Selection mode; dwell and release selectors live on each hand
+        this.selectionMode = this.loadSelectionMode();
+        this.scan = new ScanSelector({ stepMs: CONFIG_SELECTION.scanStepMs });
+        this.scanned = null; // Highlighted target in scan mode
+
+        // Session recording / replay (see future-replay.js)
+        this.recorder = new LandmarkRecorder();
+        this.replay = null;
+
+        // Camera menu, filled once labels are readable (after access is granted)
+        this.stream = null;
+        this.monitor = null; // StreamMonitor on the live track
+        this.cameraUI = {
+            picker: ref(root, 'camera-picker'),
+            select: ref(root, 'camera-select')
+        };
+        this.cameraUI.select.addEventListener('change', () => this.switchCamera(this.cameraUI.select.value));
+        this.refreshCameraPicker = this.refreshCameraPicker.bind(this);
+
+        this.onCameraError = null; // (kind, error) => {}, set by App; kind from classifyCameraError or 'lost'
+        this.onHandsDetected = null; // () => {}, called for every frame with a hand in it
+        this.disposed = false;
+
+        this.loadModel();
+    }
+
+    // (Re)starts loading MediaPipe; `ready` settles when the landmarker is usable
+    loadModel() {
+        this.ready = this.initMediaPipe();
+        this.ready.catch(() => {}); // Reported through the loader; callers await `ready` themselves
+        return this.ready;
+    }
+
+    get modelLoaded() {
+        return !!(this.handLandmarker || this.worker);
+    }
+
+    async initMediaPipe() {
+        const { visionModule, wasmPath, handModel } = this.config.assets;
+        let step = 'vision';
+        let worker = null;
+        MODEL_TASKS.forEach(name => {
+            if (this.loader.get(name).status !== 'done') this.loader.progress(name, 0);
+        });
+
+        try {
+            // MediaPipe runtime, in the worker if it'll have it
+            worker = await this.startWorker(visionModule, wasmPath);
+            let tasks = worker ? null : await loadVisionTasks(visionModule, wasmPath);
+            this.loader.done('vision');
+
+            step = 'model';
+            const model = await fetchWithProgress(handModel, p => this.loader.progress('model', p));
+            this.loader.done('model');
+
+            step = 'landmarker';
+            if (worker) {
+                try {
+                    const { delegate } = await worker.load(model, 2);
+                    console.log(`HandLandmarker running in a worker (${delegate})`);
+                } catch (error) {
+                    console.warn("Hand worker could not start the landmarker, running in-thread:", error);
+                    worker.terminate();
+                    worker = null;
+                    tasks = await loadVisionTasks(visionModule, wasmPath);
+                }
+            }
+
+            if (worker) {
+                worker.onResults = (results, time) => this.onWorkerResults(results, time);
+                this.worker = worker;
+            } else {
+                const options = (delegate) => ({
+                    baseOptions: { modelAssetBuffer: model, delegate },
+                    runningMode: "VIDEO",
+                    numHands: 2
+                });
+                try {
+                    this.handLandmarker = await tasks.HandLandmarker.createFromOptions(tasks.vision, options("GPU"));
+                } catch (error) {
+                    console.warn("GPU delegate unavailable, using CPU:", error);
+                    this.handLandmarker = await tasks.HandLandmarker.createFromOptions(tasks.vision, options("CPU"));
+                }
+            }
+            this.loader.done('landmarker');
+        } catch (error) {
+            if (worker && worker !== this.worker) worker.terminate();
+            if (this.disposed) return;
+            console.error(`MediaPipe ${step} failed:`, error);
+            this.loader.fail(step, error);
+            throw error;
+        }
+
+        // Torn down while loading
+        if (this.disposed) {
+            this.dispose();
+            return;
+        }
+        console.log("MediaPipe HandLandmarker loaded");
+    }
+
+    // A worker with the runtime loaded, or null (disabled, unsupported, or it failed to start)
+    async startWorker(visionModule, wasmPath) {
+        if (!CONFIG_INFERENCE.worker || !HandWorker.supported) return null;
+
+        let worker = null;
+        try {
+            worker = new HandWorker();
+            await worker.init(visionModule, wasmPath);
+            return worker;
+        } catch (error) {
+            console.warn("Hand worker unavailable, running in-thread:", error);
+            if (worker) worker.terminate();
+            return null;
+        }
+    }
+
+    // deviceId: a camera from the picker; defaults to the remembered one
+    async startWebcam(deviceId = this.loadCameraChoice()) {
+        if (!this.modelLoaded) {
+            console.warn("HandLandmarker not loaded yet.");
+            return;
+        }
+
+        try {
+            await this.openWebcam(deviceId);
+        } catch (error) {
+            const kind = classifyCameraError(error);
+            console.error(`Error accessing webcam (${kind}):`, error);
+            this.analytics.emit('camera_error', { kind });
+            if (this.onCameraError) this.onCameraError(kind, error);
+        }
+    }
+
+    async openWebcam(deviceId) {
+        const stream = await openCamera({ deviceId });
+        if (this.disposed) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.stream = stream;
+        this.video.srcObject = stream;
+
+        const track = stream.getVideoTracks()[0];
+        this.deviceId = track.getSettings().deviceId || null;
+        this.monitor = new StreamMonitor(track, { muteGrace: CONFIG_CAMERA.muteGrace });
+        this.monitor.onLost = (reason) => this.recoverWebcam(reason);
+
+        // Wait for video to load properties
+        this.video.addEventListener('loadeddata', () => {
+            if (this.video.srcObject !== stream) return; // Replaced before it started
+            this.webcamRunning = true;
+            this.video.play();
+            console.log("Webcam started", track.label);
+            this.cameraStartedAt = performance.now();
+            this.analytics.emit('camera_started');
+            this.refreshCameraPicker();
+            navigator.mediaDevices.addEventListener('devicechange', this.refreshCameraPicker);
+
+            // First visit: measure the user's reach before anything is clickable
+            if (!this.mapping.calibrated) this.startCalibration();
+            else this.startOnboarding();
+
+            // Show feedback
+            const prompt = ref(this.root, 'start-prompt');
+            if (prompt) {
+                prompt.innerHTML = `<h1 class="text-4xl md:text-6xl font-display font-black leading-tight mb-6" data-i18n="start.active">${this.i18n.t('start.active')}</h1>`
+                    + `<p data-i18n="start.activeHint">${this.i18n.t('start.activeHint')}</p>`;
+            }
+        }, { once: true });
+    }
+
+    // Releases the camera; the landmarker stays loaded for the next start
+    stopWebcam() {
+        if (this.monitor) this.monitor.dispose();
+        this.monitor = null;
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.video.srcObject = null;
+        this.webcamRunning = false;
+        this.lastVideoTime = -1;
+        if (navigator.mediaDevices) navigator.mediaDevices.removeEventListener('devicechange', this.refreshCameraPicker);
+        this.cameraUI.picker.classList.add('hidden');
+
+        // Nothing is tracked any more
+        Object.values(this.hands).forEach(hand => {
+            hand.cursorMesh.visible = false;
+            hand.landmarks = null;
+            hand.hovered = null;
+        });
+        this.hovered.forEach(mesh => this.uiManager.unhover(mesh));
+        this.hovered.clear();
+        if (this.scanned) this.uiManager.unhover(this.scanned);
+        this.scanned = null;
+        this.scan.reset();
+        this.gestures.reset();
+        this.manipulation = null;
+    }
+
+    // The track ended (unplugged, revoked, taken by another app) or stayed muted:
+    // reopen once, the same camera or whatever is left, else hand over to App
+    async recoverWebcam(reason) {
+        console.warn(`Camera ${reason}, reconnecting...`);
+        const deviceId = this.deviceId;
+        this.stopWebcam();
+        await new Promise(resolve => setTimeout(resolve, CONFIG_CAMERA.retryDelay));
+        if (this.disposed) return;
+
+        try {
+            await this.openWebcam(deviceId);
+            console.log("Camera reconnected");
+        } catch (error) {
+            console.error("Camera lost:", error);
+            this.analytics.emit('camera_error', { kind: 'lost' });
+            if (this.onCameraError) this.onCameraError('lost', error);
+        }
+    }
+
+    async switchCamera(deviceId) {
+        if (deviceId === this.deviceId) return;
+        this.saveCameraChoice(deviceId);
+        this.stopWebcam();
+        await this.startWebcam(deviceId);
+    }
+
+    // Shows the camera menu when there is more than one to choose from
+    async refreshCameraPicker() {
+        const { picker, select } = this.cameraUI;
+        let cameras = [];
+        try {
+            cameras = await listCameras();
+        } catch (error) {
+            console.warn("Could not list cameras:", error);
+        }
+        if (!this.webcamRunning) return;
+
+        select.innerHTML = '';
+        cameras.forEach((camera, i) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            if (camera.label) option.textContent = camera.label;
+            else localize(option, this.i18n.t, 'camera.unnamed', { number: i + 1 });
+            option.selected = camera.deviceId === this.deviceId;
+            select.appendChild(option);
+        });
+        picker.classList.toggle('hidden', cameras.length < 2);
+    }
+
+    loadCameraChoice() {
+        try {
+            return localStorage.getItem(CONFIG_CAMERA.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveCameraChoice(deviceId) {
+        try {
+            localStorage.setItem(CONFIG_CAMERA.storageKey, deviceId);
+        } catch (error) {
+            console.warn("Could not store camera choice:", error);
+        }
+    }
+
+    // Tracks are disabled rather than stopped while paused, so resuming is instant
+    setPaused(paused) {
+        const stream = this.video.srcObject;
+        if (stream) stream.getTracks().forEach(track => { track.enabled = !paused; });
+        if (!this.webcamRunning) return;
+        if (paused) this.video.pause();
+        else this.video.play();
+    }
+
+    // Releases the camera and the landmarker (in-thread or worker)
+    dispose() {
+        this.disposed = true;
+        this.replay = null;
+        this.stopWebcam();
+
+        if (this.worker) this.worker.terminate();
+        if (this.handLandmarker) this.handLandmarker.close();
+        this.worker = null;
+        this.handLandmarker = null;
+    }
+
+    detect() {
+        // A recorded session stands in for the camera
+        if (this.replay) {
+            this.replay.due(performance.now()).forEach(frame => this.processResults(frame.results, frame.time));
+            if (this.replay.done) this.finishReplay();
+            return;
+        }
+
+        if (!this.webcamRunning || !this.modelLoaded) return;
+
+        let startTimeMs = performance.now();
+
+        const due = this.video.currentTime !== this.lastVideoTime &&
+            startTimeMs - this.lastInferenceTime >= 1000 / this.inferenceFps;
+
+        // Worker: send the newest frame when it's free (capped rate), results come back in onWorkerResults
+        if (this.worker) {
+            this.interpolateCursors(startTimeMs);
+            if (due && !this.worker.busy) {
+                this.lastVideoTime = this.video.currentTime;
+                this.lastInferenceTime = startTimeMs;
+                this.worker.send(this.video, startTimeMs);
+            }
+            return;
+        }
+
+        if (due) {
+            this.lastVideoTime = this.video.currentTime;
+            this.lastInferenceTime = startTimeMs;
+
+            const results = this.handLandmarker.detectForVideo(this.video, startTimeMs);
+            this.inferenceMs += (performance.now() - startTimeMs - this.inferenceMs) * 0.2;
+            this.recorder.capture(results, startTimeMs);
+            this.processResults(results, startTimeMs);
+        }
+    }
+
+    onWorkerResults(results, time) {
+        if (!this.webcamRunning || this.replay) return;
+
+        const now = performance.now();
+        if (this.lastResultAt) this.resultInterval += (now - this.lastResultAt - this.resultInterval) * 0.2;
+        this.lastResultAt = now;
+        this.inferenceMs += (now - time - this.inferenceMs) * 0.2; // One frame in flight at a time
+
+        this.recorder.capture(results, time);
+        this.processResults(results, time, true);
+    }
+
+    // Worker results arrive slower than frames; the cursor glides from where it is
+    // to the newest landmarks over one result interval
+    queueCursor(hand, landmarks) {
+        hand.track = {
+            from: hand.shown || landmarks,
+            to: landmarks,
+            start: performance.now(),
+            duration: Math.max(this.resultInterval, 1)
+        };
+    }
+
+    interpolateCursors(now) {
+        let moved = false;
+        Object.values(this.hands).forEach(hand => {
+            const track = hand.track;
+            if (!track) return;
+
+            const t = Math.min((now - track.start) / track.duration, 1);
+            hand.shown = track.from.map((p, i) => {
+                const q = track.to[i];
+                return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t, z: p.z + (q.z - p.z) * t };
+            });
+            this.updateCursor(hand, hand.shown, now);
+            moved = true;
+        });
+
+        if (moved && !this.calibration && !this.onboarding) this.handleInteractions(); // Like processResults: onboarding practice doesn't touch the scene
+    }
+
+    createHand(name) {
+        // 3D Cursor
+        const cursorMesh = new THREE.Mesh(
+            new THREE.RingGeometry(0.1, 0.12, 32),
+            new THREE.MeshBasicMaterial({ color: this.config.colors.accent, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+        );
+        cursorMesh.visible = false;
+        this.sceneManager.scene.add(cursorMesh);
+
+        // Dwell progress: an arc that grows around the cursor
+        const dwellRing = new THREE.Mesh(
+            new THREE.RingGeometry(0.13, 0.16, 48, 1, Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: this.config.colors.secondary, transparent: true, opacity: 0.9, side: THREE.DoubleSide })
+        );
+        dwellRing.visible = false;
+        cursorMesh.add(dwellRing);
+
+        return {
+            name,
+            cursorMesh,
+            raycaster: new THREE.Raycaster(), // Raycaster for interactions
+            ndc: new THREE.Vector2(), // Filtered cursor, shared by the ring and the raycast
+            filterX: new OneEuroFilter(CONFIG_CURSOR.filter),
+            filterY: new OneEuroFilter(CONFIG_CURSOR.filter),
+            hovered: null,
+            landmarks: null,
+            track: null, // Worker mode: cursor interpolation between results
+            shown: null,
+            score: null,
+            dwellRing,
+            dwell: new DwellSelector({ dwellMs: CONFIG_SELECTION.dwellMs }),
+            release: new ReleaseSelector()
+        };
+    }
+
+    // interpolate: the results came from the worker, the cursor catches up over the next frames
+    processResults(results, time, interpolate = false) {
+        const labels = labelHands(results, CONFIG_GESTURES.swapHandedness);
+        const categories = results.handednesses || results.handedness || [];
+        const visible = (results.landmarks || []).map((landmarks, i) => {
+            const hand = this.hands[labels[i]];
+            hand.landmarks = landmarks;
+            hand.score = categories[i] && categories[i][0] ? categories[i][0].score : null; // Handedness confidence
+
+            // Update 3D Cursor & Raycast
+            if (interpolate) this.queueCursor(hand, landmarks);
+            else this.updateCursor(hand, landmarks, time);
+            return hand;
+        });
+
+        Object.values(this.hands).forEach(hand => {
+            if (!visible.includes(hand)) {
+                hand.cursorMesh.visible = false;
+                hand.landmarks = null;
+                hand.hovered = null;
+                hand.track = null;
+                hand.shown = null;
+                hand.filterX.reset();
+                hand.filterY.reset();
+                hand.dwell.reset();
+                hand.release.reset();
+                this.setDwellProgress(hand, 0);
+            }
+        });
+
+        if (visible.length && this.onHandsDetected) this.onHandsDetected();
+        if (visible.length && this.cameraStartedAt !== null) {
+            this.analytics.emit('hand_detected', { afterMs: Math.round(performance.now() - this.cameraStartedAt) });
+            this.cameraStartedAt = null;
+        }
+
+        // No interactions while measuring reach
+        if (this.calibration) {
+            const hand = this.hands.Right.landmarks ? this.hands.Right : visible[0];
+            if (hand) this.updateCalibration(hand.landmarks, time);
+            return;
+        }
+
+        if (this.onboarding) {
+            this.updateOnboarding(visible, time);
+            return;
+        }
+
+        // Handle Interactions (Hover/Select)
+        this.handleInteractions();
+
+        // Recognize Gestures (Pinch/Fist/Palm/Swipes, two-hand grab)
+        this.recognizeGesture(visible, time);
+        this.updateSelection(visible, time);
+    }
+
+    startReplay(session, options) {
+        this.replay = new LandmarkReplay(session, options);
+        this.replayExpected = session.expected || null;
+        this.actionLog = [];
+        this.gestures.reset();
+        this.manipulation = null;
+        console.log(`Replaying hand session (${session.frames.length} frames)`);
+    }
+
+    finishReplay() {
+        const fired = this.actionLog.map(entry => entry.action);
+        const expected = this.replayExpected;
+        const passed = !expected || (expected.length === fired.length && expected.every((a, i) => a === fired[i]));
+
+        console.log("Replay finished. Actions:", fired);
+        if (expected) console.assert(passed, "Replay mismatch. Expected:", expected, "Got:", fired);
+
+        // Lets a headless browser run collect the result
+        window.dispatchEvent(new CustomEvent('handreplay:done', { detail: { actions: this.actionLog, expected, passed } }));
+        this.replay = null;
+    }
+
+    toggleRecording() {
+        if (this.recorder.recording) {
+            this.recorder.stop();
+            this.recorder.download();
+        } else {
+            this.recorder.start();
+        }
+    }
+
+    updateCursor(hand, landmarks, time = performance.now()) {
+        // Use Index Finger Tip (8) for cursor position
+        const indexTip = landmarks[8];
+        const point = { x: 1 - indexTip.x, y: indexTip.y }; // Mirror x
+
+        // Calibrated reach region -> NDC, then smooth. The same filtered point drives
+        // the raycast and the ring, so what you see is what you hit.
+        const target = this.mapping.toNDC(point, palmSize(landmarks));
+        hand.ndc.set(hand.filterX.filter(target.x, time), hand.filterY.filter(target.y, time));
+
+        const { camera, controls } = this.sceneManager;
+        hand.raycaster.setFromCamera(hand.ndc, camera);
+
+        // Ring sits on the ray, on a plane through the orbit target facing the camera
+        const normal = camera.getWorldDirection(new THREE.Vector3());
+        this.cursorPlane.setFromNormalAndCoplanarPoint(normal, controls.target);
+        const position = hand.cursorMesh.position;
+        if (!hand.raycaster.ray.intersectPlane(this.cursorPlane, position)) {
+            hand.raycaster.ray.at(camera.position.distanceTo(controls.target), position);
+        }
+
+        hand.cursorMesh.quaternion.copy(camera.quaternion);
+        hand.cursorMesh.visible = true;
+    }
+
+    startCalibration() {
+        this.calibration = new ReachCalibration(CONFIG_CURSOR.calibration);
+        this.hovered.forEach(mesh => this.uiManager.unhover(mesh));
+        this.hovered.clear();
+        this.calibrationUI.root.classList.remove('hidden');
+        this.showCalibrationStep(this.calibration.target, 0);
+        console.log("Reach calibration started");
+    }
+
+    updateCalibration(landmarks, time) {
+        const indexTip = landmarks[8];
+        const step = this.calibration.update({ x: 1 - indexTip.x, y: indexTip.y }, palmSize(landmarks), time);
+
+        if (step.done) {
+            this.finishCalibration(step.region);
+        } else {
+            this.showCalibrationStep(step.target, step.progress);
+        }
+    }
+
+    showCalibrationStep(target, progress) {
+        localize(this.calibrationUI.text, this.i18n.t, `calibration.${target}`);
+        this.calibrationUI.corners.forEach(corner => {
+            const active = corner.dataset.corner === target;
+            corner.classList.toggle('opacity-30', !active);
+            corner.style.background = active
+                ? `conic-gradient(${rgbaColor(this.config.colors.accent, 0.8)} ${progress * 360}deg, transparent 0)`
+                : '';
+        });
+    }
+
+    // region: measured reach, or null to keep the current mapping (skipped / unusable)
+    finishCalibration(region) {
+        if (!this.calibration) return;
+        this.calibration = null;
+        this.calibrationUI.root.classList.add('hidden');
+
+        if (region) {
+            this.mapping = new CursorMapping(region);
+            this.saveCalibration(region);
+            console.log("Reach calibration saved", region);
+        } else {
+            console.log("Reach calibration skipped");
+        }
+        this.startOnboarding();
+    }
+
+    // No-op for returning visitors (or while replaying a session)
+    startOnboarding() {
+        if (this.onboarding || this.replay) return;
+        try {
+            if (localStorage.getItem(CONFIG_ONBOARDING.storageKey)) return;
+        } catch (error) {
+            // Storage blocked: show the tutorial, it just won't be remembered
+        }
+
+        this.onboarding = new GestureTutorial(CONFIG_ONBOARDING.steps, { repeats: CONFIG_ONBOARDING.repeats });
+        this.gestures.reset();
+        this.hovered.forEach(mesh => this.uiManager.unhover(mesh));
+        this.hovered.clear();
+        this.onboardingUI.steps.innerHTML = CONFIG_ONBOARDING.steps.map(gesture => {
+            const key = `onboarding.steps.${gesture}.label`;
+            return `<li data-step="${gesture}" class="flex flex-col items-center gap-1 opacity-40"><span class="text-2xl">${ONBOARDING_ICONS[gesture]}</span><span data-i18n="${key}">${this.i18n.t(key)}</span></li>`;
+        }).join('');
+        this.onboardingUI.root.classList.remove('hidden');
+        this.showOnboardingStep(this.onboarding.current, 0, null);
+        console.log("Gesture onboarding started");
+    }
+
+    updateOnboarding(visible, time) {
+        const hands = visible.map(hand => ({ name: hand.name, landmarks: hand.landmarks }));
+        const { fired } = this.gestures.update(hands, time); // Bound actions are ignored here
+
+        visible.forEach(hand => this.setCursorState(hand, this.gestures.isActive(hand.name, 'pinch') ? 'pinch' : 'open'));
+
+        const gesture = this.onboarding.current;
+        const active = visible.some(hand => this.gestures.isActive(hand.name, gesture));
+        const step = this.onboarding.update(active, fired.some(({ gestures }) => gestures.includes(gesture)), time);
+
+        // Live feedback: whatever is being recognized right now, asked for or not
+        const seeing = CONFIG_ONBOARDING.steps.find(name => visible.some(hand => this.gestures.isActive(hand.name, name)));
+
+        if (step.done) this.finishOnboarding(false);
+        else this.showOnboardingStep(this.onboarding.current, step.completed ? 0 : step.confidence, seeing);
+    }
+
+    showOnboardingStep(gesture, confidence, seeing) {
+        const ui = this.onboardingUI;
+        const index = CONFIG_ONBOARDING.steps.indexOf(gesture);
+        ui.prompt.textContent = this.i18n.t(`onboarding.steps.${gesture}.hint`);
+        ui.meter.style.width = `${Math.round(confidence * 100)}%`;
+        ui.live.textContent = seeing
+            ? this.i18n.t('onboarding.seeing', { icon: ONBOARDING_ICONS[seeing], gesture: this.i18n.t(`onboarding.steps.${seeing}.label`) })
+            : this.i18n.t('onboarding.nothing');
+        ui.steps.querySelectorAll('[data-step]').forEach((item, i) => {
+            item.classList.toggle('opacity-40', i > index);
+            item.classList.toggle('text-cyan-400', i === index);
+            item.classList.toggle('text-green-400', i < index);
+        });
+    }
+
+    finishOnboarding(skipped) {
+        if (!this.onboarding) return;
+        this.onboarding = null;
+        this.gestures.reset();
+        this.onboardingUI.root.classList.add('hidden');
+        this.analytics.emit('onboarding', { status: skipped ? 'skipped' : 'completed' });
+
+        try {
+            localStorage.setItem(CONFIG_ONBOARDING.storageKey, '1');
+        } catch (error) {
+            console.warn("Could not store onboarding state:", error);
+        }
+        console.log(skipped ? "Gesture onboarding skipped" : "Gesture onboarding completed");
+    }
+
+    loadCalibration() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG_CURSOR.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveCalibration(region) {
+        try {
+            localStorage.setItem(CONFIG_CURSOR.storageKey, JSON.stringify(region));
+        } catch (error) {
+            console.warn("Could not store reach calibration:", error);
+        }
+    }
+
+    handleInteractions() {
+        if (this.selectionMode === 'scan') return; // The scan highlight is the only hover
+        // Only visible UI panels/buttons
+        Object.values(this.hands).forEach(hand => {
+            if (hand.landmarks) hand.hovered = pickInteractive(hand.raycaster, this.sceneManager.scene);
+        });
+
+        // Both cursors can rest on the same target; only hover/unhover on changes of the union
+        const hovered = new Set(Object.values(this.hands).map(hand => hand.hovered).filter(Boolean));
+        this.hovered.forEach(mesh => { if (!hovered.has(mesh)) this.uiManager.unhover(mesh); });
+        hovered.forEach(mesh => { if (!this.hovered.has(mesh)) this.uiManager.hover(mesh); });
+        this.hovered = hovered;
+    }
+
+    recognizeGesture(visible, time = performance.now()) {
+        const hands = visible.map(hand => ({ name: hand.name, landmarks: hand.landmarks }));
+        const { actions, manipulation } = this.gestures.update(hands, time);
+
+        visible.forEach(hand => this.setCursorState(hand, this.gestures.isActive(hand.name, 'pinch') ? 'pinch' : 'open'));
+
+        actions.forEach(({ hand, gesture, action }) => {
+            if (!this.actions[action]) {
+                console.warn(`Gesture "${gesture}" bound to unknown action "${action}"`);
+                return;
+            }
+            console.log("Gesture:", hand, gesture, "->", action);
+            this.analytics.emit('gesture', { hand, gesture, action });
+            if (this.replay) this.actionLog.push({ time, hand, gesture, action });
+            this.actions[action](this.hands[hand]);
+        });
+
+        if (manipulation) this.manipulate(manipulation);
+    }
+
+    // Per-frame half of the release and dwell modes (pinch and scan go through actions.select)
+    updateSelection(visible, time) {
+        visible.forEach(hand => {
+            if (this.selectionMode === 'release') {
+                const target = hand.release.update(this.gestures.isActive(hand.name, 'pinch'), hand.hovered);
+                if (target) this.uiManager.select(target, 'hand');
+            } else if (this.selectionMode === 'dwell') {
+                const target = hand.hovered && !hand.hovered.userData.disabled ? hand.hovered : null;
+                const { progress, fired } = hand.dwell.update(target, time);
+                this.setDwellProgress(hand, fired ? 0 : progress);
+                if (fired) this.uiManager.select(fired, 'dwell');
+            }
+        });
+    }
+
+    setDwellProgress(hand, progress) {
+        const ring = hand.dwellRing;
+        ring.visible = progress > 0;
+        if (!ring.visible) return;
+        // The ring's triangles run around it in order, so a draw range is an arc
+        ring.material.color.setHex(this.config.colors.secondary);
+        ring.geometry.setDrawRange(0, Math.ceil(ring.geometry.index.count / 3 * progress) * 3);
+    }
+
+    // Scan mode: steps the highlight through everything selectable, hands or not.
+    // Runs from the render loop (App.animate), so it scans for pointer and keyboard visitors too.
+    updateScan(now) {
+        if (this.selectionMode !== 'scan') return;
+        const target = this.scan.update(this.uiManager.selectableTargets(), now);
+        if (target === this.scanned) return;
+        if (this.scanned) this.uiManager.unhover(this.scanned);
+        if (target) this.uiManager.hover(target);
+        this.scanned = target;
+    }
+
+    // The switch: a pinch, or Space / Enter (App)
+    selectScanned() {
+        const target = this.scan.select(performance.now());
+        if (target) this.uiManager.select(target, 'scan');
+    }
+
+    setSelectionMode(mode) {
+        if (!SELECTION_MODES.includes(mode)) {
+            console.warn("Unknown selection mode:", mode);
+            return;
+        }
+        this.selectionMode = mode;
+        Object.values(this.hands).forEach(hand => {
+            hand.dwell.reset();
+            hand.release.reset();
+            this.setDwellProgress(hand, 0);
+        });
+        this.scan.reset();
+        if (this.scanned) this.uiManager.unhover(this.scanned);
+        this.scanned = null;
+
+        try {
+            localStorage.setItem(CONFIG_SELECTION.storageKey, mode);
+        } catch (error) {
+            console.warn("Could not store selection mode:", error);
+        }
+        this.analytics.emit('selection_mode', { mode });
+        console.log("Selection mode:", mode);
+    }
+
+    loadSelectionMode() {
+        let mode = null;
+        try {
+            mode = localStorage.getItem(CONFIG_SELECTION.storageKey);
+        } catch (error) {
+            // Storage blocked: the default for this visit
+        }
+        return SELECTION_MODES.includes(mode) ? mode : CONFIG_SELECTION.mode;
+    }
+
+    // Two-hand grab: spread/close zooms the camera, turning the hands orbits
+    // the scene. A grabbed manipulable object is spun instead (and scaled, if scalable).
+    manipulate({ phase, scale, rotation }) {
+        if (phase === 'start') {
+            const grabbed = this.hands.Right.hovered || this.hands.Left.hovered;
+            const target = grabbed && grabbed.userData.manipulable ? grabbed : null;
+            if (target) gsap.killTweensOf(target.rotation);
+            const orbit = this.sceneManager.getOrbit();
+            this.manipulation = {
+                target,
+                startRotation: target ? target.rotation.y : 0,
+                startScale: target ? target.scale.x : 1,
+                startRadius: orbit.radius,
+                startTheta: orbit.theta
+            };
+            console.log("Two-hand grab", target ? target.userData.id : "scene");
+            return;
+        }
+
+        if (phase === 'end' || !this.manipulation) {
+            this.manipulation = null;
+            return;
+        }
+
+        const m = this.manipulation;
+        const radius = m.startRadius / scale; // Spread = move in
+        if (m.target) {
+            m.target.rotation.y = m.startRotation + rotation;
+            if (m.target.userData.scalable) {
+                m.target.scale.setScalar(THREE.MathUtils.clamp(m.startScale * scale, 0.4, 3));
+            } else {
+                this.sceneManager.setOrbit(radius, this.sceneManager.getOrbit().theta);
+            }
+        } else {
+            this.sceneManager.setOrbit(radius, m.startTheta - rotation);
+        }
+    }
+
+    setCursorState(hand, state) {
+        if (state === 'pinch') {
+            hand.cursorMesh.material.color.set(this.config.colors.secondary);
+            hand.cursorMesh.scale.set(0.8, 0.8, 0.8);
+        } else {
+            hand.cursorMesh.material.color.set(this.config.colors.accent);
+            hand.cursorMesh.scale.set(1, 1, 1);
+        }
+    }
+}
+
+const CONFIG_POINTER = {
+    tapMaxMove: 8, // px a press may travel and still count as a click (more = orbit drag)
+    dragRotateSpeed: 0.01, // rad per px when dragging a manipulable object
+    wheelScaleSpeed: 0.001,
+    tapMaxDuration: 400, // ms
+    twoFingerWindow: 200 // ms between both fingers landing for a two-finger tap
+};
+
+class PointerController {
+    constructor(sceneManager, uiManager) {
+        this.sceneManager = sceneManager;
+        this.uiManager = uiManager;
+        this.element = sceneManager.renderer.domElement;
+        this.enabled = false;
+
+        this.raycaster = new THREE.Raycaster();
+        this.ndc = new THREE.Vector2();
+        this.lastHovered = null;
+
+        this.presses = new Map(); // pointerId -> { x, y, time, button, type, moved }
+        this.twoFingerTap = null; // { time, cancelled } while a two-finger gesture is down
+        this.drag = null; // Manipulable object being turned by a primary-button drag
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onContextMenu = this.onContextMenu.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+
+        this.element.addEventListener('pointermove', this.onPointerMove);
+        this.element.addEventListener('pointerdown', this.onPointerDown);
+        this.element.addEventListener('pointerup', this.onPointerUp);
+        this.element.addEventListener('pointercancel', this.onPointerCancel);
+        this.element.addEventListener('pointerleave', this.onPointerLeave);
+        this.element.addEventListener('contextmenu', this.onContextMenu);
+        this.element.addEventListener('wheel', this.onWheel, { capture: true, passive: false });
+        console.log("Pointer control started");
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerCancel);
+        this.element.removeEventListener('pointerleave', this.onPointerLeave);
+        this.element.removeEventListener('contextmenu', this.onContextMenu);
+        this.element.removeEventListener('wheel', this.onWheel, { capture: true });
+
+        this.endDrag();
+        this.presses.clear();
+        this.twoFingerTap = null;
+        this.setHovered(null);
+    }
+
+    pick(event) {
+        const rect = this.element.getBoundingClientRect();
+        this.ndc.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.ndc, this.sceneManager.camera);
+        return pickInteractive(this.raycaster, this.sceneManager.scene);
+    }
+
+    setHovered(object) {
+        if (this.lastHovered === object) return;
+        if (this.lastHovered) this.uiManager.unhover(this.lastHovered);
+        if (object) this.uiManager.hover(object);
+        this.lastHovered = object;
+    }
+
+    onPointerMove(event) {
+        const press = this.presses.get(event.pointerId);
+        if (press && Math.hypot(event.clientX - press.x, event.clientY - press.y) > CONFIG_POINTER.tapMaxMove) {
+            press.moved = true;
+            if (this.twoFingerTap) this.twoFingerTap.cancelled = true;
+        }
+
+        if (this.drag && this.drag.pointerId === event.pointerId) {
+            const { target, x, y, rotX, rotY } = this.drag;
+            target.rotation.y = rotY + (event.clientX - x) * CONFIG_POINTER.dragRotateSpeed;
+            target.rotation.x = THREE.MathUtils.clamp(rotX + (event.clientY - y) * CONFIG_POINTER.dragRotateSpeed, -1.2, 1.2);
+            return;
+        }
+
+        // Touch has no hover; a finger only highlights what it's pressing
+        if (event.pointerType === 'touch' && !press) return;
+        this.setHovered(this.pick(event));
+    }
+
+    onPointerDown(event) {
+        this.presses.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            time: performance.now(),
+            button: event.button,
+            type: event.pointerType,
+            moved: false
+        });
+
+        if (event.pointerType === 'touch') {
+            const touches = [...this.presses.values()].filter(p => p.type === 'touch');
+            if (touches.length === 2) {
+                const gap = Math.abs(touches[1].time - touches[0].time);
+                this.twoFingerTap = { time: performance.now(), cancelled: gap > CONFIG_POINTER.twoFingerWindow };
+            } else if (touches.length > 2 && this.twoFingerTap) {
+                this.twoFingerTap.cancelled = true;
+            }
+            this.setHovered(this.pick(event));
+        }
+
+        // Dragging a model turns it instead of orbiting the camera
+        if (event.button === 0 && this.presses.size === 1) {
+            const target = this.pick(event);
+            if (target && target.userData.manipulable) this.startDrag(target, event);
+        }
+    }
+
+    startDrag(target, event) {
+        gsap.killTweensOf(target.rotation);
+        this.drag = {
+            target,
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            rotX: target.rotation.x,
+            rotY: target.rotation.y,
+            controlsEnabled: this.sceneManager.controls.enabled
+        };
+        this.sceneManager.controls.enabled = false;
+    }
+
+    endDrag() {
+        if (!this.drag) return;
+        this.sceneManager.controls.enabled = this.drag.controlsEnabled;
+        this.drag = null;
+    }
+
+    onWheel(event) {
+        // Wheel over a scalable model scales it; anywhere else OrbitControls zooms
+        const target = this.pick(event);
+        if (!target || !target.userData.scalable) return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const scale = target.scale.x * (1 - event.deltaY * CONFIG_POINTER.wheelScaleSpeed);
+        target.scale.setScalar(THREE.MathUtils.clamp(scale, 0.4, 3));
+    }
+
+    onPointerUp(event) {
+        const press = this.presses.get(event.pointerId);
+        if (!press) return;
+        this.presses.delete(event.pointerId);
+        if (this.drag && this.drag.pointerId === event.pointerId) this.endDrag();
+
+        const duration = performance.now() - press.time;
+        const isTap = !press.moved && duration < CONFIG_POINTER.tapMaxDuration;
+
+        // Two-finger tap = back, resolved once the last finger lifts
+        if (this.twoFingerTap) {
+            if (!isTap) this.twoFingerTap.cancelled = true;
+            if (this.presses.size === 0) {
+                const tap = this.twoFingerTap;
+                this.twoFingerTap = null;
+                if (!tap.cancelled && performance.now() - tap.time < CONFIG_POINTER.tapMaxDuration) {
+                    this.uiManager.back();
+                }
+                this.setHovered(null);
+            }
+            return;
+        }
+
+        if (isTap) {
+            if (press.button === 2) {
+                this.uiManager.back();
+            } else if (press.button === 0) {
+                const hit = this.pick(event);
+                if (hit) this.uiManager.select(hit);
+            }
+        }
+
+        if (press.type === 'touch') this.setHovered(null);
+    }
+
+    onPointerCancel(event) {
+        this.presses.delete(event.pointerId);
+        if (this.drag && this.drag.pointerId === event.pointerId) this.endDrag();
+        if (this.twoFingerTap) this.twoFingerTap.cancelled = true;
+        if (this.presses.size === 0) {
+            this.twoFingerTap = null;
+            if (event.pointerType === 'touch') this.setHovered(null);
+        }
+    }
+
+    onPointerLeave(event) {
+        if (event.pointerType === 'mouse') this.setHovered(null);
+    }
+
+    onContextMenu(event) {
+        // Right-click is "back", not the browser menu
+        event.preventDefault();
+    }
+}
+
+const CONFIG_GYRO = {
+    sensitivity: 0.05,
+    maxTilt: 20
+};
+
+class GyroController {
+    constructor(sceneManager, analytics) {
+        this.sceneManager = sceneManager;
+        this.analytics = analytics;
+        this.enabled = false;
+        this.targetBeta = 0;
+        this.targetGamma = 0;
+        this.currentBeta = 0;
+        this.currentGamma = 0;
+        this.initialBeta = null;
+        this.initialGamma = null;
+        this.handleOrientation = this.handleOrientation.bind(this);
+    }
+
+    async requestPermission() {
+        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
                 const permissionState = await DeviceOrientationEvent.requestPermission();
                 if (permissionState === 'granted') {
                     this.start();
                 } else {
                     console.warn("Gyro permission denied");
+                    this.analytics.emit('gyro', { status: 'denied' });
                 }
             } catch (error) {
                 console.error("Gyro permission error:", error);
+                this.analytics.emit('gyro', { status: 'error' });
             }
         } else {
             // Android / Non-iOS (or desktop simulation)
@@ -750,8 +2521,15 @@ class GyroController {
     start() {
         if (this.enabled) return;
         this.enabled = true;
-        window.addEventListener('deviceorientation', this.handleOrientation.bind(this));
+        window.addEventListener('deviceorientation', this.handleOrientation);
         console.log("Gyro control started");
+        this.analytics.emit('gyro', { status: 'started' });
+    }
+
+    stop() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        window.removeEventListener('deviceorientation', this.handleOrientation);
     }
 
     handleOrientation(event) {
@@ -791,28 +2569,520 @@ class GyroController {
     }
 }
 
-class App {
+// Attract loop hints (catalog keys), one per tour step (cycled)
+const ATTRACT_HINTS = ['kiosk.palm', 'kiosk.point', 'kiosk.pinch', 'kiosk.fist', 'kiosk.swipe'];
+
+// Kiosk mode: after config.kiosk.idleTimeout without a hand or pointer input,
+// reset to home and play a scripted tour until someone steps up
+class KioskMode {
+    constructor(sceneManager, uiManager, root, config, i18n) {
+        this.sceneManager = sceneManager;
+        this.uiManager = uiManager;
+        this.root = root;
+        this.config = config;
+        this.i18n = i18n;
+        this.hint = ref(root, 'kiosk-hint');
+        this.startPrompt = ref(root, 'start-prompt');
+
+        this.enabled = false;
+        this.attracting = false;
+        this.timeline = null;
+        this.lastActivity = 0;
+
+        this.activity = this.activity.bind(this);
+    }
+
+    start() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.lastActivity = performance.now();
+        ['pointerdown', 'pointermove', 'wheel', 'keydown'].forEach(type => {
+            this.root.addEventListener(type, this.activity, { capture: true, passive: true });
+        });
+        console.log("Kiosk mode started");
+    }
+
+    stop() {
+        if (!this.enabled) return;
+        this.stopAttract();
+        this.enabled = false;
+        ['pointerdown', 'pointermove', 'wheel', 'keydown'].forEach(type => {
+            this.root.removeEventListener(type, this.activity, { capture: true });
+        });
+    }
+
+    // A hand or pointer: someone is here
+    activity() {
+        this.lastActivity = performance.now();
+        if (this.attracting) this.stopAttract();
+    }
+
+    update(now) {
+        if (this.enabled && !this.attracting && now - this.lastActivity > this.config.kiosk.idleTimeout) this.startAttract();
+    }
+
+    // Nothing of the last visitor carries over
+    resetToHome() {
+        const ui = this.uiManager;
+        ui.navigate({ section: 'home' });
+        ui.inquiry.reset();
+        if (ui.inquiry.status !== 'idle') ui.inquiry.setStatus('idle');
+    }
+
+    startAttract() {
+        console.log("Kiosk idle, starting attract loop");
+        this.attracting = true;
+        this.resetToHome();
+        this.startPrompt.style.opacity = '0';
+        this.hint.classList.remove('hidden');
+
+        const ui = this.uiManager;
+        const step = this.config.kiosk.stepDuration / 1000;
+        const hero = this.sceneManager.heroMesh;
+        let hint = 0;
+        const showHint = () => localize(this.hint, this.i18n.t, ATTRACT_HINTS[hint++ % ATTRACT_HINTS.length]);
+
+        // Reduced motion keeps the tour (it's navigation) but drops the pulse
+        const pulse = this.sceneManager.reducedMotion
+            ? [{}, { duration: step }]
+            : [hero.scale, { x: 1.3, y: 1.3, z: 1.3, duration: step / 4, yoyo: true, repeat: 3, ease: 'sine.inOut' }];
+
+        this.timeline = gsap.timeline({ repeat: -1 });
+        this.timeline
+            .call(() => localize(this.hint, this.i18n.t, 'kiosk.raiseHand'))
+            .to(...pulse)
+            .call(() => { ui.navigate({ section: 'menu' }); showHint(); });
+
+        // Sections with a form are skipped: the form would take focus and pop up on-screen keyboards
+        CONTENT.menu
+            .filter(item => item.action && item.action.type === 'openSection' && !ui.sectionForms[item.action.section])
+            .forEach(item => {
+                this.timeline.call(() => { ui.navigate({ section: item.action.section }); showHint(); }, null, `+=${step}`);
+            });
+
+        this.timeline
+            .call(() => { ui.navigate({ section: 'home' }); showHint(); }, null, `+=${step}`)
+            .to({}, { duration: step });
+    }
+
+    stopAttract() {
+        if (!this.attracting) return;
+        this.attracting = false;
+
+        this.timeline.kill();
+        this.timeline = null;
+        gsap.killTweensOf(this.sceneManager.heroMesh.scale);
+        this.sceneManager.heroMesh.scale.set(1, 1, 1);
+
+        this.hint.classList.add('hidden');
+        this.startPrompt.style.opacity = '1';
+        this.resetToHome();
+        console.log("Kiosk visitor detected");
+    }
+}
+
+// Developer HUD: the camera feed with the hand skeleton, timings, raw gesture
+// metrics and navigation state, plus sliders that retune the recognizers live.
+// "Export config" turns the tuned values into a CONFIG_GESTURES.options snippet.
+class DiagnosticsHUD {
+    constructor(app, root) {
+        this.app = app;
+        const $ = id => ref(root, id);
+        this.ui = {
+            root: $('diagnostics'),
+            video: $('diagnostics-video'),
+            stats: $('diagnostics-stats'),
+            metrics: $('diagnostics-metrics'),
+            sliders: $('diagnostics-sliders'),
+            btnExport: $('btn-diagnostics-export'),
+            btnReset: $('btn-diagnostics-reset'),
+            exportText: $('diagnostics-export')
+        };
+        this.ctx = this.ui.video.getContext('2d');
+        this.open = false;
+        this.frames = 0;
+        this.statsAt = 0;
+        this.fps = 0;
+
+        this.buildSliders();
+        this.ui.sliders.addEventListener('input', (e) => this.onSlider(e.target));
+        this.ui.btnExport.addEventListener('click', () => this.exportConfig());
+        this.ui.btnReset.addEventListener('click', () => this.resetOptions());
+    }
+
+    get gestures() {
+        return this.app.handTracker.gestures;
+    }
+
+    toggle(open = !this.open) {
+        this.open = open;
+        this.ui.root.classList.toggle('hidden', !open);
+        if (open) this.refreshSliders();
+    }
+
+    // One slider per tunable option, grouped by gesture
+    buildSliders() {
+        this.ui.sliders.innerHTML = Object.keys(GESTURES).map(gesture => {
+            const rows = Object.keys(this.gestures.options(gesture)).map(option => {
+                const range = tuningRange(gesture, option);
+                if (!range) return '';
+                const [min, max, step] = range;
+                return `<label class="flex items-center gap-2"><span class="w-20 shrink-0">${option}</span>` +
+                    `<input type="range" class="flex-1" min="${min}" max="${max}" step="${step}" data-gesture="${gesture}" data-option="${option}">` +
+                    `<output class="w-12 text-right"></output></label>`;
+            }).join('');
+            return `<fieldset><legend class="text-gray-400 mb-1">${gesture}</legend>${rows}</fieldset>`;
+        }).join('');
+        this.refreshSliders();
+    }
+
+    refreshSliders() {
+        this.ui.sliders.querySelectorAll('input[data-gesture]').forEach(input => {
+            input.value = this.gestures.options(input.dataset.gesture)[input.dataset.option];
+            input.nextElementSibling.textContent = input.value;
+        });
+    }
+
+    onSlider(input) {
+        if (!input.dataset.gesture) return;
+        this.gestures.configure(input.dataset.gesture, { [input.dataset.option]: Number(input.value) });
+        input.nextElementSibling.textContent = input.value;
+    }
+
+    // Back to what the page started with (defaults + CONFIG_GESTURES.options)
+    resetOptions() {
+        Object.entries(GESTURES).forEach(([gesture, def]) => {
+            this.gestures.configure(gesture, { ...def.defaults, ...(CONFIG_GESTURES.options[gesture] || {}) });
+        });
+        this.refreshSliders();
+        this.ui.exportText.classList.add('hidden');
+    }
+
+    exportConfig() {
+        const snippet = `// CONFIG_GESTURES in js/future-app.js\noptions: ${JSON.stringify(this.gestures.changedOptions(), null, 4)}`;
+        this.ui.exportText.value = snippet;
+        this.ui.exportText.classList.remove('hidden');
+        this.ui.exportText.select();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(snippet).catch(error => console.warn("Could not copy config:", error));
+        }
+        console.log(snippet);
+    }
+
+    update(now) {
+        if (!this.open) return;
+        this.frames++;
+        this.drawCamera();
+
+        // Text twice a second is plenty to read
+        if (now - this.statsAt < 500) return;
+        this.fps = Math.round(this.frames * 1000 / (now - this.statsAt));
+        this.frames = 0;
+        this.statsAt = now;
+        this.ui.stats.textContent = this.describeState();
+        this.ui.metrics.textContent = this.describeHands();
+    }
+
+    // Mirrored like the cursor, so the skeleton moves the way the visitor does
+    drawCamera() {
+        const { ctx } = this;
+        const { width, height } = this.ui.video;
+        const tracker = this.app.handTracker;
+        const video = tracker.video;
+
+        ctx.setTransform(-1, 0, 0, 1, width, 0);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        if (tracker.webcamRunning && video.readyState >= 2) ctx.drawImage(video, 0, 0, width, height);
+
+        Object.values(tracker.hands).forEach(hand => {
+            const landmarks = hand.landmarks;
+            if (!landmarks) return;
+            const color = cssColor(hand.name === 'Left' ? this.app.config.colors.accent : this.app.config.colors.secondary);
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+
+            ctx.beginPath();
+            HAND_CONNECTIONS.forEach(([a, b]) => {
+                ctx.moveTo(landmarks[a].x * width, landmarks[a].y * height);
+                ctx.lineTo(landmarks[b].x * width, landmarks[b].y * height);
+            });
+            ctx.stroke();
+            landmarks.forEach(point => ctx.fillRect(point.x * width - 2, point.y * height - 2, 4, 4));
+        });
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    describeState() {
+        const { handTracker: tracker, uiManager: ui, pointerController, quality } = this.app;
+        const mode = tracker.replay ? 'replay'
+            : pointerController.enabled ? 'pointer'
+                : tracker.webcamRunning ? 'camera' : 'idle';
+        const hovered = [...tracker.hovered, pointerController.lastHovered].filter(Boolean).map(mesh => mesh.userData.id);
+        const flow = tracker.calibration ? 'calibrating' : tracker.onboarding ? 'onboarding' : '-';
+
+        return [
+            `FPS ${this.fps} · quality ${QUALITY_TIERS[quality.tier].name}`,
+            `Inference ${tracker.inferenceMs.toFixed(1)}ms (${tracker.worker ? 'worker' : 'main thread'}) · max ${tracker.inferenceFps}/s`,
+            `Mode ${mode} · ${flow}`,
+            `Navigation ${ui.navigation.level} ${formatRoute(ui.route)}${ui.navigation.busy ? ` · animating, ${ui.navigation.queue.length} queued` : ''}`,
+            `Showcase ${ui.showcase.active ? 'open' : '-'} · hovered ${hovered.join(', ') || '-'}`
+        ].join('\n');
+    }
+
+    describeHands() {
+        const tracker = this.app.handTracker;
+        const lines = [];
+        Object.values(tracker.hands).forEach(hand => {
+            if (!hand.landmarks) return;
+            const metrics = gestureMetrics(hand.landmarks);
+            const active = Object.keys(GESTURES).filter(gesture => this.gestures.isActive(hand.name, gesture));
+            const score = hand.score === null ? '?' : hand.score.toFixed(2);
+
+            lines.push(`${hand.name} (${score}) active: ${active.join(', ') || '-'}`);
+            lines.push(Object.entries(metrics).map(([name, value]) => `  ${name} ${value.toFixed(3)}`).join('\n'));
+        });
+        return lines.join('\n') || 'No hands';
+    }
+}
+
+// Analytics bus with the sinks config.analytics asks for
+function createAnalytics(options) {
+    const { enabled, sinks, endpoint, batchSize, flushInterval } = options;
+    const analytics = new Analytics({ enabled, batchSize, flushInterval });
+    if (sinks.includes('console')) analytics.addSink(new ConsoleSink());
+    if (sinks.includes('storage')) analytics.addSink(new StorageSink());
+    if (endpoint) analytics.addSink(new BeaconSink(endpoint));
+    return analytics;
+}
+
+// Downloads a file as bytes, reporting progress (0-1) as it arrives
+async function fetchWithProgress(url, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+
+    const total = Number(response.headers.get('content-length')) || 0;
+    if (!response.body || !total) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        onProgress(1);
+        return bytes;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        // content-length is the compressed size when the server gzips
+        onProgress(Math.min(received / total, 0.99));
+    }
+
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    onProgress(1);
+    return bytes;
+}
+
+// Named loading tasks with weighted progress, feeding the loading screen
+// and the camera button. A task can reopen (e.g. the three.js manager
+// starting another batch) and can fail and be retried.
+class LoadingTracker {
     constructor() {
-        window.appInstance = this; // Global ref for fallback
-        this.sceneManager = new SceneManager();
-        this.uiManager = new UIManager(this.sceneManager); // Create UI Manager
-        this.handTracker = new HandTracker(this.sceneManager, this.uiManager); // Pass UI to Tracker
-        this.gyroController = new GyroController(this.sceneManager); // Gyro
-        this.clock = new THREE.Clock();
+        this.tasks = new Map();
+        this.listeners = [];
+    }
+
+    add(name, label, weight = 1) {
+        this.tasks.set(name, { name, label, weight, progress: 0, status: 'pending', error: null });
+        this.emit();
+    }
+
+    get(name) {
+        return this.tasks.get(name);
+    }
+
+    progress(name, value) {
+        const task = this.tasks.get(name);
+        task.status = 'pending';
+        task.progress = Math.max(0, Math.min(1, value));
+        this.emit();
+    }
+
+    done(name) {
+        const task = this.tasks.get(name);
+        task.status = 'done';
+        task.progress = 1;
+        this.emit();
+    }
+
+    fail(name, error) {
+        const task = this.tasks.get(name);
+        task.status = 'failed';
+        task.error = error;
+        this.emit();
+    }
+
+    // Weighted progress (0-1) over the given tasks
+    total(names) {
+        const tasks = names.map(name => this.tasks.get(name));
+        const weight = tasks.reduce((sum, t) => sum + t.weight, 0);
+        return tasks.reduce((sum, t) => sum + t.weight * t.progress, 0) / weight;
+    }
+
+    // The first task in `names` that isn't done yet
+    current(names) {
+        return names.map(name => this.tasks.get(name)).find(t => t.status !== 'done') || null;
+    }
+
+    isDone(names) {
+        return names.every(name => this.tasks.get(name).status === 'done');
+    }
+
+    whenDone(names) {
+        return new Promise(resolve => {
+            const check = () => {
+                if (!this.isDone(names)) return;
+                this.offChange(check);
+                resolve();
+            };
+            this.listeners.push(check);
+            check();
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    offChange(listener) {
+        this.listeners = this.listeners.filter(fn => fn !== listener);
+    }
+
+    emit() {
+        this.listeners.slice().forEach(fn => fn(this));
+    }
 
+    // Follows a three.js LoadingManager; done whenever it has nothing in flight
+    trackManager(name, manager) {
+        this.done(name);
+        manager.onStart = (url, loaded, total) => this.progress(name, loaded / total);
+        manager.onProgress = (url, loaded, total) => this.progress(name, loaded / total);
+        manager.onLoad = () => this.done(name);
+        manager.onError = (url) => console.error("Error loading asset:", url);
+    }
+
+    // Resolves once the page fonts (and `extra` loads, e.g. a script's fonts) are usable,
+    // or after `timeout` with fallbacks
+    trackFonts(name, timeout, extra = []) {
+        const fonts = document.fonts
+            ? Promise.all([document.fonts.load('bold 48px "Space Grotesk"'), document.fonts.load('48px "Space Grotesk"'), document.fonts.ready, ...extra])
+            : Promise.resolve();
+        const timer = new Promise(resolve => setTimeout(resolve, timeout));
+        return Promise.race([fonts, timer]).catch(() => {}).then(() => this.done(name));
+    }
+}
+
+class App {
+    // root: the element holding FUTURE_TEMPLATE; config: this experience's createConfig();
+    // routing: drive location.hash (own page only)
+    constructor(root, config, { routing = false } = {}) {
+        this.root = root;
+        this.config = config;
+        this.running = false;
+        this.destroyed = false;
+        this.navigating = false; // Past the permission prompt, with any input
+        this.modelRetryTimer = null; // Kiosks retry a failed hand model in the background
+        this.i18n = new Localizer(LOCALES); // Per experience: each can show its own language
+        this.i18n.set(this.chooseLocale()); // Before anything draws text
+
+        // Loading tasks (essentials gate the loading screen, the rest gate the camera); labels are catalog keys
+        this.loader = new LoadingTracker();
+        this.loader.add('fonts', 'loading.fonts');
+        this.loader.add('scene', 'loading.scene');
+        this.loader.add('vision', 'loading.vision');
+        this.loader.add('model', 'loading.model', 4);
+        this.loader.add('landmarker', 'loading.landmarker');
+        // Our own manager: three's DefaultLoadingManager is shared by every experience on the page
+        this.loadingManager = new THREE.LoadingManager();
+        this.loader.trackManager('scene', this.loadingManager);
+        this.loader.trackFonts('fonts', this.config.fontTimeout, [loadScriptFonts(this.i18n.script)]);
+
+        this.analytics = createAnalytics(config.analytics); // Everyone below reports into it
+        Object.entries(this.config.theme.themes).forEach(([name, palette]) => registerTheme(name, palette));
+        this.preferences = new DisplayPreferences(this.config.theme);
+        this.sceneManager = new SceneManager(ref(root, 'canvas-container'), config, this.loadingManager);
+        this.uiManager = new UIManager(this.sceneManager, root, this.analytics, config, this.i18n); // Create UI Manager
+        // Panels drawn with the fallback font get redrawn once it's in
+        this.loader.whenDone(['fonts']).then(() => this.uiManager.panelRenderer.refreshAll());
+        this.handTracker = new HandTracker(this.sceneManager, this.uiManager, this.loader, root, this.analytics, config, this.i18n); // Pass UI to Tracker
+        // Explain what went wrong and carry on with the mouse
+        this.handTracker.onCameraError = (kind) => {
+            this.analytics.emit('pointer_fallback', { reason: 'camera_error' });
+            this.showCameraError(kind);
+            this.enablePointerMode();
+        };
+        this.gyroController = new GyroController(this.sceneManager, this.analytics); // Gyro
+        this.pointerController = new PointerController(this.sceneManager, this.uiManager); // Mouse / touch fallback
+        // #/section links + browser Back (not on kiosks: the attract loop would fill the history)
+        this.router = routing && !this.config.kiosk.enabled ? new HashRouter(this.uiManager) : null;
+        this.kiosk = this.config.kiosk.enabled ? new KioskMode(this.sceneManager, this.uiManager, root, config, this.i18n) : null;
+        // Keyboard and screen reader access to the scene
+        this.mirror = new SceneMirror(this.uiManager, {
+            root,
+            list: ref(root, 'scene-mirror-list'),
+            heading: ref(root, 'scene-mirror-heading'),
+            announcer: ref(root, 'scene-announcer'),
+            describeCount: count => this.i18n.t('mirror.options', { count })
+        });
+        this.uiManager.onNavigate = () => this.mirror.render(true);
+        this.uiManager.onItemChange = (mesh) => this.mirror.refreshItem(mesh);
+        if (this.kiosk) this.handTracker.onHandsDetected = this.kiosk.activity;
+        this.clock = new THREE.Clock();
+        this.initQuality();
+        this.preferences.onChange = () => this.applyDisplay();
+        this.applyDisplay();
+        this.applyLocale();
+        this.params = new URLSearchParams(window.location.search);
+        this.diagnostics = new DiagnosticsHUD(this, root);
+        this.debug = this.config.debug || this.params.has('debug'); // Also enables the D hotkey
+        if (this.debug) this.diagnostics.toggle(true);
+
+        this.animate = this.animate.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
         this.initUI();
-        this.animate();
     }
 
     initUI() {
         // UI Elements
+        const $ = id => ref(this.root, id);
         this.ui = {
-            loading: document.getElementById('loading-screen'),
-            permission: document.getElementById('permission-prompt'),
-            start: document.getElementById('start-prompt'),
-            guide: document.getElementById('gesture-guide'),
-            btnAllow: document.getElementById('btn-allow-camera'),
-            btnMouse: document.getElementById('btn-use-mouse')
+            loading: $('loading-screen'),
+            permission: $('permission-prompt'),
+            start: $('start-prompt'),
+            guide: $('gesture-guide'),
+            btnAllow: $('btn-allow-camera'),
+            btnMouse: $('btn-use-mouse'),
+            btnStart: $('btn-start-fallback'),
+            loadingBar: $('loading-bar'),
+            loadingStatus: $('loading-status'),
+            cameraStatus: $('camera-status'),
+            btnRetry: $('btn-retry-model'),
+            cameraError: $('camera-error'),
+            cameraErrorTitle: $('camera-error-title'),
+            cameraErrorText: $('camera-error-text'),
+            btnCameraRetry: $('btn-camera-retry'),
+            btnCameraDismiss: $('btn-camera-dismiss'),
+            selectionSelect: $('selection-select'),
+            languagePicker: $('language-picker'),
+            languageSelect: $('language-select')
         };
 
         // Event Listeners
@@ -821,50 +3091,539 @@ class App {
             this.gyroController.requestPermission();
         });
 
+        this.ui.btnRetry.addEventListener('click', () => this.startCameraExperience());
+
+        this.ui.btnCameraRetry.addEventListener('click', () => {
+            this.ui.cameraError.classList.add('hidden');
+            this.disablePointerMode();
+            this.handTracker.startWebcam();
+        });
+        this.ui.btnCameraDismiss.addEventListener('click', () => this.ui.cameraError.classList.add('hidden'));
+
+        this.ui.selectionSelect.value = this.handTracker.selectionMode;
+        this.ui.selectionSelect.addEventListener('change', () => this.handTracker.setSelectionMode(this.ui.selectionSelect.value));
+
+        // Each language listed in its own name and script
+        Object.entries(LOCALES).forEach(([locale, { name }]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = name;
+            this.ui.languageSelect.appendChild(option);
+        });
+        this.ui.languageSelect.value = this.i18n.locale;
+        this.ui.languagePicker.classList.toggle('hidden', Object.keys(LOCALES).length < 2);
+        this.ui.languageSelect.addEventListener('change', () => {
+            const locale = this.ui.languageSelect.value;
+            this.saveLocaleChoice(locale);
+            this.analytics.emit('locale', { locale });
+            this.setLocale(locale);
+        });
+
         this.ui.btnMouse.addEventListener('click', () => {
+            this.analytics.emit('pointer_fallback', { reason: 'choice' });
             this.startMouseExperience();
             this.gyroController.requestPermission();
         });
 
-        // Simulate initial load
-        setTimeout(() => {
+        // Fallback hit area over the orb (pointer mode only)
+        this.ui.btnStart.addEventListener('click', () => {
+            if (!this.pointerController.enabled) return;
+            this.uiManager.openMenu();
+            this.ui.start.style.opacity = '0';
+        });
+
+        this.root.addEventListener('keydown', this.onKeyDown); // Not the host page's keys
+
+        // Loading screen tracks the essentials; the hand model keeps loading behind the prompt
+        const essentials = ['fonts', 'scene'];
+        const renderLoading = () => {
+            const current = this.loader.current(essentials);
+            this.ui.loadingBar.style.width = `${Math.round(this.loader.total(essentials) * 100)}%`;
+            this.ui.loadingStatus.textContent = current ? this.i18n.t('loading.step', { label: this.i18n.t(current.label) }) : this.i18n.t('loading.ready');
+        };
+        this.loader.onChange(renderLoading);
+        renderLoading();
+
+        this.loader.whenDone(essentials).then(() => {
+            this.loader.offChange(renderLoading);
             this.ui.loading.classList.add('opacity-0');
             setTimeout(() => {
+                if (this.destroyed) return;
                 this.ui.loading.style.display = 'none';
-                this.ui.permission.classList.remove('hidden');
+                if (this.params.has('replay')) {
+                    this.startReplayExperience(this.params.get('replay'));
+                } else if (this.kiosk) {
+                    this.startCameraExperience(); // Kiosk browsers grant the camera up front
+                } else {
+                    this.ui.permission.classList.remove('hidden');
+                }
             }, 1000);
-        }, 1500);
+        });
+    }
+
+    onKeyDown(e) {
+        if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return; // Browser and host shortcuts
+        const key = e.key.toLowerCase();
+
+        // Scan mode: Space / Enter work as the switch (not on a focused button, which clicks itself)
+        if ((key === ' ' || key === 'enter') && this.handTracker.scanned && !e.target.closest('button')) {
+            e.preventDefault();
+            this.handTracker.selectScanned();
+        }
+
+        // ?record: R starts/stops capturing landmarks to a JSON file
+        if (key === 'r' && this.params.has('record')) this.handTracker.toggleRecording();
+        // C: redo the reach calibration
+        if (key === 'c' && this.handTracker.webcamRunning) this.handTracker.startCalibration();
+        // D: diagnostics HUD, with ?debug or the debug attribute
+        if (key === 'd' && this.debug) this.diagnostics.toggle();
+    }
+
+    // Shows hand-model progress on the permission prompt while "Allow Camera" waits for it
+    renderCameraStatus() {
+        const tasks = MODEL_TASKS;
+        const failed = tasks.map(name => this.loader.get(name)).find(task => task.status === 'failed');
+        const { cameraStatus, btnRetry, btnAllow } = this.ui;
+
+        cameraStatus.classList.remove('hidden', 'text-red-400');
+        if (failed) {
+            cameraStatus.textContent = this.i18n.t('permission.failed', { label: this.i18n.t(failed.label) });
+            cameraStatus.classList.add('text-red-400');
+            btnRetry.classList.remove('hidden');
+            btnAllow.disabled = false;
+            return;
+        }
+
+        btnRetry.classList.add('hidden');
+        const current = this.loader.current(tasks);
+        cameraStatus.textContent = current
+            ? this.i18n.t('permission.progress', { label: this.i18n.t(current.label), percent: Math.round(this.loader.total(tasks) * 100) })
+            : this.i18n.t('permission.ready');
     }
 
-    startCameraExperience() {
+    // ?replay=<url>: drive the experience from a recorded session instead of the camera
+    async startReplayExperience(url) {
+        console.log("Starting Replay Experience...");
+        this.analytics.emit('session_start', { mode: 'replay' });
+        this.ui.start.style.opacity = '1';
+        this.ui.guide.style.opacity = '1';
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.handTracker.startReplay(await response.json(), { loop: this.params.has('loop') });
+            this.startNavigation();
+        } catch (error) {
+            console.error("Error loading hand session:", error);
+            this.ui.permission.classList.remove('hidden');
+        }
+    }
+
+    async startCameraExperience() {
+        // Queue until the hand model is ready (or show the error + retry)
+        if (!this.handTracker.modelLoaded) {
+            if (MODEL_TASKS.some(name => this.loader.get(name).status === 'failed')) this.handTracker.loadModel();
+
+            this.ui.btnAllow.disabled = true;
+            const render = () => this.renderCameraStatus();
+            this.loader.onChange(render);
+            render();
+
+            try {
+                await this.handTracker.ready;
+            } catch (error) {
+                if (this.kiosk) this.startKioskWithoutModel();
+                return; // renderCameraStatus shows the failure and the retry button
+            } finally {
+                this.loader.offChange(render);
+            }
+            this.ui.btnAllow.disabled = false;
+            this.ui.cameraStatus.classList.add('hidden');
+
+            // Visitor went with the mouse while waiting
+            if (this.pointerController.enabled) return;
+        }
+
         console.log("Starting Camera Experience...");
+        this.analytics.emit('session_start', { mode: 'camera' });
         this.ui.permission.classList.add('hidden');
         this.ui.start.style.opacity = '1';
         this.ui.guide.style.opacity = '1';
 
         this.handTracker.startWebcam();
+        this.startNavigation();
+        if (this.kiosk) this.kiosk.start();
     }
 
     startMouseExperience() {
         console.log("Starting Mouse Experience...");
+        this.analytics.emit('session_start', { mode: 'pointer' });
         this.ui.permission.classList.add('hidden');
-        this.ui.start.style.opacity = '1';
+        this.enablePointerMode();
+        this.startNavigation();
+        if (this.kiosk) this.kiosk.start();
+    }
+
+    // Nobody at a kiosk presses Retry: run on the pointer and keep retrying the hand
+    // model in the background, switching to the camera once it loads
+    startKioskWithoutModel() {
+        this.analytics.emit('pointer_fallback', { reason: 'model_error' });
+        this.startMouseExperience();
+        this.retryModel();
+    }
+
+    retryModel() {
+        clearTimeout(this.modelRetryTimer);
+        this.modelRetryTimer = setTimeout(() => {
+            if (this.destroyed) return;
+            this.handTracker.loadModel().then(() => {
+                if (this.destroyed) return;
+                console.log("Hand model loaded on retry, switching to the camera");
+                this.disablePointerMode();
+                this.ui.guide.style.opacity = '1';
+                this.handTracker.startWebcam();
+            }, () => this.retryModel());
+        }, this.config.kiosk.modelRetry);
+    }
+
+    enablePointerMode() {
+        if (this.pointerController.enabled) return;
+        // Once the camera had started, the prompt says "SYSTEM ACTIVE" and the button is gone
+        this.ui.start.style.opacity = this.ui.btnStart.isConnected ? '1' : '0';
+
+        // Let clicks through to the orb, keep only the button clickable
+        this.ui.start.classList.replace('pointer-events-auto', 'pointer-events-none');
+        this.ui.btnStart.classList.add('pointer-events-auto');
+        localize(this.ui.btnStart, this.i18n.t, 'start.clickOrb');
 
-        // Enable OrbitControls
+        // Enable OrbitControls (right button is reserved for "back")
         this.sceneManager.controls.enabled = true;
-        this.sceneManager.controls.autoRotate = true;
+        this.sceneManager.controls.enablePan = false;
+        this.sceneManager.controls.autoRotate = !this.preferences.reducedMotion;
+
+        this.pointerController.enable();
+    }
+
+    // Back to hands after a camera retry
+    disablePointerMode() {
+        if (!this.pointerController.enabled) return;
+        this.pointerController.disable();
+        this.sceneManager.controls.enabled = false;
+        this.sceneManager.controls.autoRotate = false;
+
+        this.ui.start.classList.replace('pointer-events-none', 'pointer-events-auto');
+        this.ui.btnStart.classList.remove('pointer-events-auto');
+        localize(this.ui.btnStart, this.i18n.t, 'start.raiseHand');
+    }
+
+    // kind: a classifyCameraError() kind (camera.errors in the catalog)
+    showCameraError(kind) {
+        const key = `camera.errors.${this.i18n.has(`camera.errors.${kind}.title`) ? kind : 'unknown'}`;
+        localize(this.ui.cameraErrorTitle, this.i18n.t, `${key}.title`);
+        localize(this.ui.cameraErrorText, this.i18n.t, `${key}.text`);
+        // Nothing to retry without camera support
+        this.ui.btnCameraRetry.classList.toggle('hidden', kind === 'unsupported');
+        this.ui.cameraError.classList.remove('hidden');
+    }
+
+    // Deep links (#/brands) and the keyboard mirror start once the visitor is past the permission prompt
+    startNavigation() {
+        this.navigating = true;
+        this.mirror.start();
+        if (!this.router) return;
+        this.router.start();
+        if (this.uiManager.currentSection !== 'home') this.ui.start.style.opacity = '0';
+    }
+
+    // Phones start a step down; config.quality.tier pins a tier instead of adapting
+    initQuality() {
+        const pinned = QUALITY_TIERS.findIndex(tier => tier.name === this.config.quality.tier);
+        if (this.config.quality.tier && pinned < 0) console.warn("Unknown quality tier:", this.config.quality.tier);
+
+        const coarse = window.matchMedia('(pointer: coarse)').matches;
+        this.quality = new QualityGovernor(QUALITY_TIERS.length, {
+            start: QUALITY_TIERS.length - (coarse ? 2 : 1),
+            pinned: pinned >= 0 ? pinned : null
+        });
+        this.applyQuality(this.quality.tier);
+    }
+
+    applyQuality(index) {
+        const tier = QUALITY_TIERS[index];
+        this.sceneManager.setQuality(tier);
+        this.handTracker.inferenceFps = Math.min(tier.inferenceFps, CONFIG_INFERENCE.maxFps);
+        console.log("Quality tier:", tier.name);
+        this.analytics.emit('quality', { tier: tier.name });
+    }
+
+    // name: a THEMES key; high contrast (asked for or pinned) overrides it
+    setTheme(name) {
+        this.config.theme.name = name;
+        this.applyDisplay();
+    }
+
+    // { motion, contrast }, see DisplayPreferences
+    setPreferences(preferences) {
+        this.preferences.set(preferences);
+    }
+
+    // Theme colors and the motion profile, on first run and whenever either changes
+    applyDisplay() {
+        let name = this.preferences.highContrast ? 'high-contrast' : this.config.theme.name;
+        if (!THEMES[name]) {
+            console.warn("Unknown theme:", name);
+            name = 'neon';
+        }
+        const theme = THEMES[name];
+
+        if (name !== this.themeName) {
+            this.themeName = name;
+            Object.assign(this.config.colors, theme);
+            this.sceneManager.setTheme(theme);
+            this.uiManager.setTheme(theme);
+
+            // For the DOM overlays and the host page
+            this.root.dataset.theme = name;
+            ['accent', 'secondary', 'background', 'text'].forEach(key => {
+                this.root.style.setProperty(`--future-${key}`, cssColor(theme[key]));
+            });
+            console.log("Theme:", name);
+        }
+
+        const reduced = this.preferences.reducedMotion;
+        this.root.dataset.motion = reduced ? 'reduce' : 'full';
+        this.sceneManager.reducedMotion = reduced;
+        this.uiManager.setReducedMotion(reduced);
+        if (this.pointerController.enabled) this.sceneManager.controls.autoRotate = !reduced;
+    }
+
+    // Visitor's pick, then the page's, then the browser languages
+    chooseLocale() {
+        const available = Object.keys(LOCALES);
+        const stored = this.loadLocaleChoice();
+        if (stored && LOCALES[stored]) return stored;
+        if (this.config.locale.name) return this.config.locale.name;
+        return detectLocale(available) || this.i18n.fallback;
+    }
+
+    loadLocaleChoice() {
+        try {
+            return localStorage.getItem(this.config.locale.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveLocaleChoice(locale) {
+        try {
+            localStorage.setItem(this.config.locale.storageKey, locale);
+        } catch (error) {
+            console.warn("Could not store language:", error);
+        }
+    }
+
+    // locale: a LOCALES key
+    setLocale(locale) {
+        if (locale === this.i18n.locale) return;
+        this.i18n.set(locale);
+        this.applyLocale();
+        this.uiManager.setLocale();
+        this.mirror.render();
+        // Panels are redrawn right away with whatever fonts are in, then again with the script's own
+        loadScriptFonts(this.i18n.script).then(() => {
+            if (!this.destroyed) this.uiManager.panelRenderer.refreshAll();
+        });
+    }
+
+    // The DOM overlays in the current language (the scene reads the catalog as it builds)
+    applyLocale() {
+        const script = this.i18n.script;
+        this.root.lang = this.i18n.locale;
+        this.root.dir = this.i18n.dir;
+        this.root.style.fontFamily = fontStack(script);
+        this.root.style.setProperty('--future-script-font', [...script.fonts, 'sans-serif'].join(', '));
+        translateDom(this.root, this.i18n.t);
+        if (this.ui) this.ui.languageSelect.value = this.i18n.locale;
+        console.log("Language:", this.i18n.locale);
+    }
+
+    start() {
+        if (this.running || this.destroyed) return;
+        this.running = true;
+        this.clock.getDelta(); // The pause isn't one long frame
+        this.handTracker.setPaused(false);
+        this.frame = requestAnimationFrame(this.animate);
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.running = false;
+        cancelAnimationFrame(this.frame);
+        this.handTracker.setPaused(true);
+    }
+
+    // Stops everything and releases the camera, GPU resources and listeners
+    destroy() {
+        if (this.destroyed) return;
+        this.pause();
+        this.destroyed = true;
+        clearTimeout(this.modelRetryTimer);
+
+        this.root.removeEventListener('keydown', this.onKeyDown);
+        if (this.router) this.router.stop();
+        this.mirror.stop();
+        if (this.kiosk) this.kiosk.stop();
+        this.pointerController.disable();
+        this.gyroController.stop();
+        this.handTracker.dispose();
+        this.uiManager.dispose();
+        this.sceneManager.dispose();
+        this.analytics.dispose();
+        this.preferences.dispose();
+        console.log("Experience destroyed");
     }
 
     animate() {
-        requestAnimationFrame(this.animate.bind(this));
+        this.frame = requestAnimationFrame(this.animate);
+
+        const now = performance.now();
+        const tier = this.quality.update(this.clock.getDelta() * 1000, now);
+        if (tier !== null) this.applyQuality(tier);
+        if (this.kiosk) this.kiosk.update(now);
 
         this.gyroController.update(); // Update Gyro
         this.handTracker.detect(); // Process vision
+        if (this.navigating) this.handTracker.updateScan(now); // Whatever the input: one-switch visitors may have no camera
         this.sceneManager.update();
+        this.diagnostics.update(now);
+    }
+}
+
+// Each attribute sets its part of an experience's config (createConfig)
+const ELEMENT_ATTRIBUTES = {
+    'debug': (config, value) => { config.debug = value !== 'false'; },
+    'kiosk': (config) => { config.kiosk.enabled = true; },
+    'kiosk-idle-timeout': (config, value) => { config.kiosk.idleTimeout = Number(value); },
+    'quality': (config, value) => { config.quality.tier = value || null; },
+    'theme': (config, value) => { config.theme.name = value || 'neon'; },
+    'motion': (config, value) => { config.theme.motion = value || 'auto'; },
+    'contrast': (config, value) => { config.theme.contrast = value || 'auto'; },
+    'locale': (config, value) => { config.locale.name = value || null; },
+    'inquiry-endpoint': (config, value) => { config.inquiry.endpoint = value; },
+    'analytics-endpoint': (config, value) => { config.analytics.endpoint = value; },
+    'no-analytics': (config) => { config.analytics.enabled = false; },
+    'hand-model': (config, value) => { config.assets.handModel = value; },
+    'vision-module': (config, value) => { config.assets.visionModule = value; },
+    'wasm-path': (config, value) => { config.assets.wasmPath = value; },
+    'draco-path': (config, value) => { config.assets.dracoPath = value; }
+};
+
+// A fresh copy of CONFIG with the element's current attributes laid over it
+function createConfig(element) {
+    const config = structuredClone(CONFIG);
+    Object.entries(ELEMENT_ATTRIBUTES).forEach(([name, apply]) => {
+        if (element.hasAttribute(name)) apply(config, element.getAttribute(name));
+    });
+    return config;
+}
+
+let experienceCount = 0; // Numbers each element's id prefix
+
+// <future-experience>: the whole experience as an element, sized by its box.
+// Renders FUTURE_TEMPLATE into itself on connect, pauses while the tab is
+// hidden and is destroyed when removed. `routing` opts into #/section URLs;
+// theme, motion, contrast and locale can also be changed while it runs.
+class FutureExperience extends HTMLElement {
+    static get observedAttributes() {
+        return ['theme', 'motion', 'contrast', 'locale'];
+    }
+
+    // Opting out stops collection right away, on every experience on the page, and is
+    // remembered where storage allows. Static so a page without an experience can call it.
+    static setAnalyticsOptOut(optOut = true) {
+        Analytics.setOptOut(optOut);
+    }
+
+    setAnalyticsOptOut(optOut = true) {
+        FutureExperience.setAnalyticsOptOut(optOut);
+    }
+
+    constructor() {
+        super();
+        this.app = null;
+        this.hiddenPause = false; // Paused by visibilitychange, not by the page
+        this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    }
+
+    connectedCallback() {
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        if (document.hidden) {
+            this.mount();
+            this.hiddenPause = true;
+        } else {
+            this.start();
+        }
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        this.destroy();
+    }
+
+    // Before mount the attributes are read by mount() itself
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.app || oldValue === value) return;
+        if (name === 'theme') this.app.setTheme(value || 'neon');
+        else if (name === 'locale') this.app.setLocale(value || this.app.i18n.fallback);
+        else this.app.setPreferences({ [name]: value || 'auto' });
+    }
+
+    mount() {
+        if (this.app) return;
+
+        // Keys only reach us with focus inside; this way a click on the scene gives it
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+
+        // The overlays are absolutely positioned inside us
+        const style = getComputedStyle(this);
+        if (style.display === 'inline') this.style.display = 'block';
+        if (style.position === 'static') this.style.position = 'relative';
+
+        this.innerHTML = FUTURE_TEMPLATE;
+        scopeIds(this, `future-${++experienceCount}-`);
+        this.app = new App(this, createConfig(this), { routing: this.hasAttribute('routing') });
+    }
+
+    start() {
+        this.mount();
+        this.app.start();
+    }
+
+    pause() {
+        this.hiddenPause = false;
+        if (this.app) this.app.pause();
+    }
+
+    destroy() {
+        if (!this.app) return;
+        this.app.destroy();
+        this.app = null;
+        this.innerHTML = '';
+    }
+
+    onVisibilityChange() {
+        if (!this.app) return;
+        if (document.hidden) {
+            if (!this.app.running) return;
+            this.app.pause();
+            this.hiddenPause = true;
+        } else if (this.hiddenPause) {
+            this.hiddenPause = false;
+            this.app.start();
+        }
     }
 }
 
-// Start App
-window.addEventListener('DOMContentLoaded', () => {
-    new App();
-});
+customElements.define('future-experience', FutureExperience);
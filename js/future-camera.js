@@ -0,0 +1,117 @@
+// Camera access for the hand tracker
+// Opens a camera (a remembered device if it's still there), turns getUserMedia
+// failures into a few kinds the page can explain, and watches the live track for loss.
+
+// Ideal, not required: the browser picks the nearest size the camera has and
+// never rejects a camera for it, so there is nothing to step down to
+export const RESOLUTION = { width: { ideal: 1280 }, height: { ideal: 720 } };
+
+// What the page says for each failure kind (English; translations in future-locales.js)
+export const CAMERA_MESSAGES = {
+    denied: {
+        title: 'Camera blocked',
+        text: 'Camera access was denied. Allow it from the camera icon in the address bar, then try again.'
+    },
+    not_found: {
+        title: 'No camera found',
+        text: 'Connect a camera and try again.'
+    },
+    in_use: {
+        title: 'Camera in use',
+        text: 'Another app or tab is using the camera. Close it and try again.'
+    },
+    unsupported: {
+        title: 'Camera not available',
+        text: 'This browser (or an insecure http:// page) can\'t use the camera.'
+    },
+    lost: {
+        title: 'Camera disconnected',
+        text: 'The camera stopped sending video. Reconnect it and try again.'
+    },
+    unknown: {
+        title: 'Camera error',
+        text: 'The camera couldn\'t be started.'
+    }
+};
+
+// getUserMedia DOMException name -> failure kind
+const ERROR_KINDS = {
+    NotAllowedError: 'denied',
+    SecurityError: 'denied',
+    PermissionDeniedError: 'denied', // Older Chrome
+    NotFoundError: 'not_found',
+    DevicesNotFoundError: 'not_found',
+    OverconstrainedError: 'not_found', // The exact deviceId matched no camera
+    NotReadableError: 'in_use',
+    TrackStartError: 'in_use',
+    AbortError: 'in_use'
+};
+
+export function classifyCameraError(error) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) return 'unsupported';
+    return ERROR_KINDS[error && error.name] || 'unknown';
+}
+
+// Video inputs; labels stay empty until the visitor has granted access once
+export async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'videoinput');
+}
+
+// deviceId: preferred camera, or null for the default. A device that has gone
+// away falls back to the default instead of failing.
+export async function openCamera({ deviceId = null, resolution = RESOLUTION } = {}) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error("getUserMedia is not available");
+    }
+
+    const video = { ...resolution };
+    if (deviceId) video.deviceId = { exact: deviceId };
+    try {
+        return await navigator.mediaDevices.getUserMedia({ video });
+    } catch (error) {
+        if (deviceId && (error.name === 'NotFoundError' || error.name === 'OverconstrainedError')) {
+            console.warn("Remembered camera unavailable, using the default");
+            return openCamera({ deviceId: null, resolution });
+        }
+        throw error;
+    }
+}
+
+// Reports when a live track stops delivering: `ended` (unplugged, revoked,
+// stopped by the browser) right away, `mute` only if it lasts `muteGrace` ms,
+// since some cameras mute briefly while they renegotiate.
+export class StreamMonitor {
+    constructor(track, { muteGrace = 3000 } = {}) {
+        this.track = track;
+        this.muteGrace = muteGrace;
+        this.muteTimer = null;
+        this.onLost = null; // (reason: 'ended' | 'muted') => {}
+
+        this.onEnded = () => this.lost('ended');
+        this.onMute = () => {
+            clearTimeout(this.muteTimer);
+            this.muteTimer = setTimeout(() => this.lost('muted'), this.muteGrace);
+        };
+        this.onUnmute = () => clearTimeout(this.muteTimer);
+
+        track.addEventListener('ended', this.onEnded);
+        track.addEventListener('mute', this.onMute);
+        track.addEventListener('unmute', this.onUnmute);
+    }
+
+    lost(reason) {
+        const onLost = this.onLost;
+        this.dispose(); // Report once
+        if (onLost) onLost(reason);
+    }
+
+    dispose() {
+        clearTimeout(this.muteTimer);
+        this.track.removeEventListener('ended', this.onEnded);
+        this.track.removeEventListener('mute', this.onMute);
+        this.track.removeEventListener('unmute', this.onUnmute);
+        this.onLost = null;
+    }
+}
@@ -0,0 +1,89 @@
+// Scene content manifest for future.html
+// UIManager builds the menu and section groups from this and validates it at startup.
+//
+// Item fields:
+//   id        unique across the whole manifest (used for selection / logs)
+//   type      'panel' (text card), 'button' (solid primitive) or 'decoration' (not interactive)
+//   position  [x, y, z], relative to the section's place (sections sit on a ring around the menu, in menu order)
+//   text, subtitle, body   panel text, word-wrapped; the panel grows taller to fit
+//   icon, image, width     panel extras: emoji/glyph, image url, width in world units (default 2)
+//   disabled               shown greyed out and ignores selection
+//   label                  name for keyboard / screen reader users; required on buttons (panels use their text)
+//   shape, size, color     'box' | 'icosahedron' primitives; color is a theme color key (follows theme changes) or hex
+//   wireframe, spin        spin: { axis, duration } loops one full turn
+//   action    { type: 'openSection', section } | { type: 'openUrl', url, target }
+//             | { type: 'flip' } | { type: 'submit' }
+//             | { type: 'showcase', model, size?, position? }  GLB/glTF (Draco ok), loaded on demand
+//             | { type: 'openPage', page }  a page of the same section
+//
+// A section can have pages: [{ id, items }], sub-pages shown in its place
+// instead of its own items (routes #/<section>/<page>). Back returns to the section.
+//
+// A section can also carry form: { type: 'inquiry', panel } to show the contact
+// form while it is open; `panel` is the item that mirrors the form's status.
+//
+// Text here is English; other languages translate text, subtitle, body and label
+// by item id in future-locales.js.
+
+export const CONTENT = {
+    menu: [
+        { id: 'experience', type: 'panel', text: 'Experience', position: [0, 2.5, -2], action: { type: 'openSection', section: 'experience' } },
+        { id: 'technology', type: 'panel', text: 'Technology', position: [-2.5, 1.5, -1], action: { type: 'openSection', section: 'technology' } },
+        { id: 'for_brands', type: 'panel', text: 'For Brands', position: [2.5, 1.5, -1], action: { type: 'openSection', section: 'brands' } },
+        { id: 'contact', type: 'panel', text: 'Contact', position: [0, 0.5, -2], action: { type: 'openSection', section: 'contact' } }
+    ],
+
+    sections: [
+        {
+            id: 'experience',
+            items: [
+                { id: 'exp_main', type: 'panel', text: 'Everything is controlled', subtitle: 'by your hand gestures.', position: [0, 2, -2] },
+
+                // Reactive cubes
+                { id: 'exp_cube_1', type: 'decoration', shape: 'box', size: [0.3, 0.3, 0.3], color: 'accent', wireframe: true, position: [-1.6, 0.5, -1], spin: { axis: 'x', duration: 2 } },
+                { id: 'exp_cube_2', type: 'decoration', shape: 'box', size: [0.3, 0.3, 0.3], color: 'accent', wireframe: true, position: [-0.8, 0.5, -1], spin: { axis: 'x', duration: 3 } },
+                { id: 'exp_cube_3', type: 'decoration', shape: 'box', size: [0.3, 0.3, 0.3], color: 'accent', wireframe: true, position: [0, 0.5, -1], spin: { axis: 'x', duration: 4 } },
+                { id: 'exp_cube_4', type: 'decoration', shape: 'box', size: [0.3, 0.3, 0.3], color: 'accent', wireframe: true, position: [0.8, 0.5, -1], spin: { axis: 'x', duration: 5 } },
+                { id: 'exp_cube_5', type: 'decoration', shape: 'box', size: [0.3, 0.3, 0.3], color: 'accent', wireframe: true, position: [1.6, 0.5, -1], spin: { axis: 'x', duration: 6 } }
+            ]
+        },
+        {
+            id: 'technology',
+            items: [
+                { id: 'tech_main', type: 'panel', text: 'Powered by MediaPipe', subtitle: '& Three.js WebGL', body: 'Hand tracking runs in your browser. No video leaves your device.', position: [0, 2, -2] },
+
+                // Wireframe globe
+                { id: 'tech_globe', type: 'decoration', shape: 'icosahedron', size: [1.2, 1], color: 'secondary', wireframe: true, position: [0, 0, -1], spin: { axis: 'y', duration: 10 } },
+
+                { id: 'tech_how', type: 'panel', text: 'How it works', position: [2.5, 0.5, -1.5], action: { type: 'openPage', page: 'tech_pipeline' } }
+            ],
+            pages: [
+                {
+                    id: 'tech_pipeline',
+                    items: [
+                        { id: 'tech_camera', type: 'panel', text: '1. Camera', body: 'Frames stay on your device.', position: [-2.3, 1.5, -1.5] },
+                        { id: 'tech_landmarks', type: 'panel', text: '2. Hand landmarks', body: '21 points per hand, found in a background worker.', position: [0, 1.5, -1.5] },
+                        { id: 'tech_gestures', type: 'panel', text: '3. Gestures', body: 'Pinches, palms, fists and swipes drive the scene.', position: [2.3, 1.5, -1.5] }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'brands',
+            items: [
+                // Showcase models are three.js example assets standing in for client products
+                { id: 'brand_1', type: 'panel', text: 'Luxury Auto', position: [-2, 1.5, -1], action: { type: 'showcase', model: 'https://threejs.org/examples/models/gltf/ferrari.glb', size: 2.4 } },
+                { id: 'brand_2', type: 'panel', text: 'Tech Launch', position: [0, 1.5, -1.5], action: { type: 'showcase', model: 'https://threejs.org/examples/models/gltf/DamagedHelmet/glTF/DamagedHelmet.gltf' } },
+                { id: 'brand_3', type: 'panel', text: 'Fashion Drop', position: [2, 1.5, -1], action: { type: 'showcase', model: 'https://threejs.org/examples/models/gltf/MaterialsVariantsShoe/glTF/MaterialsVariantsShoe.gltf' } }
+            ]
+        },
+        {
+            id: 'contact',
+            form: { type: 'inquiry', panel: 'contact_main' },
+            items: [
+                { id: 'contact_main', type: 'panel', text: 'Wave to Send', subtitle: 'Inquiry', position: [0, 2.5, -2] },
+                { id: 'submit_btn', type: 'button', shape: 'box', size: [1.5, 0.5, 0.2], color: 'accent', position: [0, 1, -1], label: 'Send inquiry', action: { type: 'submit' } }
+            ]
+        }
+    ]
+};
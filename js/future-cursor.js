@@ -0,0 +1,157 @@
+// Hand -> screen cursor mapping for future.html
+// OneEuroFilter smooths the cursor (and the raycast, which uses the same
+// filtered point); CursorMapping maps the user's comfortable reach to the
+// full viewport; ReachCalibration measures that reach from four corner holds.
+
+// One Euro filter (Casiez et al. 2012): heavy smoothing when the hand is
+// nearly still, light smoothing when it moves fast, so no jitter and no lag.
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 1.5, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.time = null;
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    // time in ms
+    filter(value, time) {
+        if (this.value === null) {
+            this.value = value;
+            this.time = time;
+            return value;
+        }
+
+        const dt = Math.max((time - this.time) / 1000, 1e-3);
+        this.time = time;
+
+        const derivative = (value - this.value) / dt;
+        this.derivative += OneEuroFilter.alpha(this.dCutoff, dt) * (derivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += OneEuroFilter.alpha(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+// The whole camera image, i.e. the mapping before any calibration
+const FULL_FRAME = { left: 0, right: 1, top: 0, bottom: 1, palm: null };
+
+// Maps a mirrored image point (0-1, y down) inside the calibrated reach region
+// to NDC (-1..1, y up). If the user moves closer or further than during
+// calibration, their hand looks bigger/smaller and the region scales with it.
+export class CursorMapping {
+    constructor(region = null) {
+        this.region = { ...(region || FULL_FRAME) };
+        this.calibrated = !!region;
+        this.palm = null; // Smoothed palm size
+    }
+
+    toNDC(point, palm) {
+        const r = this.region;
+        let scale = 1;
+        if (r.palm && palm) {
+            this.palm = this.palm === null ? palm : this.palm + (palm - this.palm) * 0.05;
+            scale = this.palm / r.palm;
+        }
+
+        const cx = (r.left + r.right) / 2;
+        const cy = (r.top + r.bottom) / 2;
+        const halfW = Math.max((r.right - r.left) / 2 * scale, 0.05);
+        const halfH = Math.max((r.bottom - r.top) / 2 * scale, 0.05);
+
+        const clamp = v => Math.max(-1.1, Math.min(1.1, v));
+        return {
+            x: clamp((point.x - cx) / halfW),
+            y: clamp(-(point.y - cy) / halfH)
+        };
+    }
+}
+
+export const CALIBRATION_TARGETS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+// Walks the user through holding their index finger still at each corner of
+// their comfortable reach. Feed it mirrored image points; it reports progress
+// and finally the measured region.
+export class ReachCalibration {
+    constructor({ holdMs = 800, tolerance = 0.03, minTravel = 0.15, margin = 0.04 } = {}) {
+        this.holdMs = holdMs;
+        this.tolerance = tolerance;
+        this.minTravel = minTravel; // Next corner must be this far from the last one
+        this.margin = margin;
+        this.start();
+    }
+
+    start() {
+        this.step = 0;
+        this.samples = [];
+        this.anchor = null;
+        this.done = false;
+    }
+
+    get target() {
+        return CALIBRATION_TARGETS[this.step] || null;
+    }
+
+    // Returns { target, progress (0-1 for the current corner), done, region? }
+    // region is null when the corners didn't make a usable rectangle
+    update(point, palm, time) {
+        if (this.done) return { target: null, progress: 1, done: true, region: this.region };
+
+        // Still sitting on the previous corner
+        const last = this.samples[this.samples.length - 1];
+        if (last && Math.hypot(point.x - last.x, point.y - last.y) < this.minTravel) {
+            this.anchor = null;
+            return { target: this.target, progress: 0, done: false };
+        }
+
+        // (Re)start the hold whenever the finger wanders off
+        if (!this.anchor || Math.hypot(point.x - this.anchor.x, point.y - this.anchor.y) > this.tolerance) {
+            this.anchor = { x: point.x, y: point.y, time };
+        }
+
+        const progress = Math.min((time - this.anchor.time) / this.holdMs, 1);
+        if (progress >= 1) {
+            this.samples.push({ x: point.x, y: point.y, palm });
+            this.anchor = null;
+            this.step++;
+
+            if (this.step >= CALIBRATION_TARGETS.length) {
+                this.done = true;
+                this.region = this.computeRegion();
+                return { target: null, progress: 1, done: true, region: this.region };
+            }
+            return { target: this.target, progress: 0, done: false };
+        }
+
+        return { target: this.target, progress, done: false };
+    }
+
+    computeRegion() {
+        const [tl, tr, br, bl] = this.samples;
+        const palms = this.samples.map(s => s.palm).filter(Boolean);
+
+        // Pull the edges in a little so the corners are reachable without a full stretch
+        const region = {
+            left: (tl.x + bl.x) / 2 + this.margin,
+            right: (tr.x + br.x) / 2 - this.margin,
+            top: (tl.y + tr.y) / 2 + this.margin,
+            bottom: (bl.y + br.y) / 2 - this.margin,
+            palm: palms.length ? palms.reduce((a, b) => a + b, 0) / palms.length : null
+        };
+
+        // Corners in the wrong place (or no movement at all) - not usable
+        if (region.right - region.left < 0.15 || region.bottom - region.top < 0.15) return null;
+        return region;
+    }
+}
@@ -0,0 +1,465 @@
+// Hand gesture recognizers for future.html
+// Each recognizer is a plain definition: a test() on the current frame plus
+// default thresholds, hysteresis, hold time and cooldown. GestureRegistry runs
+// them all on every frame for one hand and reports which ones fired;
+// GestureRouter does that per hand and maps the results to bound actions.
+
+// MediaPipe hand landmark indices
+const WRIST = 0;
+const THUMB = { mcp: 2, ip: 3, tip: 4 };
+const FINGERS = {
+    index: { mcp: 5, pip: 6, tip: 8 },
+    middle: { mcp: 9, pip: 10, tip: 12 },
+    ring: { mcp: 13, pip: 14, tip: 16 },
+    pinky: { mcp: 17, pip: 18, tip: 20 }
+};
+
+function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// How far the fingertip reaches past its middle joint, measured from the wrist.
+// ~1.3+ when straight, below 1 when curled. Independent of hand size and rotation.
+function extension(landmarks, finger) {
+    const wrist = landmarks[WRIST];
+    return dist(wrist, landmarks[finger.tip]) / Math.max(dist(wrist, landmarks[finger.pip]), 1e-6);
+}
+
+// Wrist to middle knuckle; shrinks as the hand moves away from the camera
+export function palmSize(landmarks) {
+    return Math.max(dist(landmarks[WRIST], landmarks[FINGERS.middle.mcp]), 1e-6);
+}
+
+// Thumb tip distance from the index knuckle, relative to palm size
+function thumbSpread(landmarks) {
+    return dist(landmarks[THUMB.tip], landmarks[FINGERS.index.mcp]) / palmSize(landmarks);
+}
+
+// Picks the threshold for the current state so a gesture needs a clear
+// change to toggle (enter at `on`, leave only past `off`).
+function threshold(options, active) {
+    return active ? options.off : options.on;
+}
+
+const FOUR_FINGERS = ['index', 'middle', 'ring', 'pinky'];
+
+function allCurled(landmarks, names, limit) {
+    return names.every(name => extension(landmarks, FINGERS[name]) < limit);
+}
+
+function allExtended(landmarks, names, limit) {
+    return names.every(name => extension(landmarks, FINGERS[name]) > limit);
+}
+
+// Swipes read the shared index-tip history kept by the registry
+function swipe(axis, sign) {
+    return {
+        defaults: { distance: 0.2, windowMs: 500, holdMs: 0, cooldownMs: 700 },
+        motion: true,
+        test(frame, options) {
+            const history = frame.history;
+            if (history.length < 2) return false;
+
+            const last = history[history.length - 1];
+            const first = history.find(p => last.time - p.time <= options.windowMs);
+            if (!first || first === last) return false;
+
+            const dx = last.x - first.x;
+            const dy = last.y - first.y;
+            const primary = axis === 'x' ? dx : dy;
+            const secondary = axis === 'x' ? dy : dx;
+
+            return primary * sign > options.distance && Math.abs(primary) > Math.abs(secondary);
+        }
+    };
+}
+
+export const GESTURES = {
+    pinch: {
+        // Thumb tip to index tip, normalized image distance
+        defaults: { on: 0.05, off: 0.07, holdMs: 0, cooldownMs: 400 },
+        test(frame, options, active) {
+            const lm = frame.landmarks;
+            return dist(lm[THUMB.tip], lm[FINGERS.index.tip]) < threshold(options, active);
+        }
+    },
+
+    fist: {
+        defaults: { on: 0.95, off: 1.05, holdMs: 150, cooldownMs: 1000 },
+        test(frame, options, active) {
+            return allCurled(frame.landmarks, FOUR_FINGERS, threshold(options, active));
+        }
+    },
+
+    open_palm: {
+        defaults: { on: 1.3, off: 1.2, spread: 0.6, holdMs: 400, cooldownMs: 1500 },
+        test(frame, options, active) {
+            const lm = frame.landmarks;
+            return allExtended(lm, FOUR_FINGERS, threshold(options, active)) && thumbSpread(lm) > options.spread;
+        }
+    },
+
+    point: {
+        defaults: { on: 1.3, off: 1.2, curl: 1.0, holdMs: 200, cooldownMs: 500 },
+        test(frame, options, active) {
+            const lm = frame.landmarks;
+            return extension(lm, FINGERS.index) > threshold(options, active) &&
+                allCurled(lm, ['middle', 'ring', 'pinky'], options.curl);
+        }
+    },
+
+    thumbs_up: {
+        defaults: { curl: 1.0, spread: 0.8, holdMs: 500, cooldownMs: 1500 },
+        test(frame, options) {
+            const lm = frame.landmarks;
+            // Image y grows downwards: tip above IP above MCP
+            const thumbUp = lm[THUMB.tip].y < lm[THUMB.ip].y && lm[THUMB.ip].y < lm[THUMB.mcp].y;
+            return thumbUp && thumbSpread(lm) > options.spread && allCurled(lm, FOUR_FINGERS, options.curl);
+        }
+    },
+
+    // Image x is mirrored relative to the user: moving right in the image is their left
+    swipe_left: swipe('x', 1),
+    swipe_right: swipe('x', -1),
+    swipe_up: swipe('y', -1),
+    swipe_down: swipe('y', 1)
+};
+
+// The page's gesture -> action bindings (actions live in HandTracker.actions).
+// Here rather than in future-app.js so recorded sessions can be replayed against them headless.
+export const GESTURE_BINDINGS = {
+    bindings: {
+        pinch: 'select',
+        fist: 'back',
+        open_palm: 'openMenu',
+        swipe_left: 'nextSection', // The carousel moves with the hand
+        swipe_right: 'previousSection'
+    },
+    // With both hands up: left hand does back/menu, right hand points and selects.
+    // Swipes are off so two-handed grabs don't trigger them.
+    handBindings: {
+        Left: { pinch: null, swipe_left: null, swipe_right: null },
+        Right: { fist: null, open_palm: null, swipe_left: null, swipe_right: null }
+    },
+    swapHandedness: true // MediaPipe labels assume a mirrored image, our webcam feed isn't
+};
+
+// MediaPipe hand skeleton as landmark index pairs, for drawing
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8], // Index
+    [5, 9], [9, 10], [10, 11], [11, 12], // Middle
+    [9, 13], [13, 14], [14, 15], [15, 16], // Ring
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20] // Pinky + palm
+];
+
+// The raw values the recognizers compare against their thresholds, for tuning
+export function gestureMetrics(landmarks) {
+    const ext = name => extension(landmarks, FINGERS[name]);
+    const four = FOUR_FINGERS.map(ext);
+    return {
+        pinch: dist(landmarks[THUMB.tip], landmarks[FINGERS.index.tip]), // < pinch.on
+        curled: Math.max(...four), // fist: < fist.on
+        extended: Math.min(...four), // open_palm: > open_palm.on
+        index: ext('index'), // point: > point.on
+        others: Math.max(...['middle', 'ring', 'pinky'].map(ext)), // point: < point.curl
+        spread: thumbSpread(landmarks), // open_palm / thumbs_up: > spread
+        palm: palmSize(landmarks)
+    };
+}
+
+// Slider ranges [min, max, step] for recognizer options
+const PINCH_RANGE = [0.01, 0.15, 0.005];
+const TUNING_RANGES = {
+    on: [0.5, 2, 0.05], // Extension ratios (pinch uses PINCH_RANGE)
+    off: [0.5, 2, 0.05],
+    spread: [0.2, 1.5, 0.05],
+    curl: [0.5, 1.5, 0.05],
+    distance: [0.05, 0.5, 0.01],
+    windowMs: [100, 1500, 50],
+    holdMs: [0, 1000, 10],
+    cooldownMs: [0, 3000, 50]
+};
+
+export function tuningRange(gesture, option) {
+    if (gesture === 'pinch' && (option === 'on' || option === 'off')) return PINCH_RANGE;
+    return TUNING_RANGES[option] || null;
+}
+
+export class GestureRegistry {
+    constructor(definitions = GESTURES, overrides = {}) {
+        this.recognizers = new Map();
+        this.history = []; // { x, y, time } of the index tip, for motion gestures
+        this.historyMs = 1000;
+
+        Object.entries(definitions).forEach(([name, def]) => this.register(name, def, overrides[name]));
+    }
+
+    register(name, def, options = {}) {
+        this.recognizers.set(name, {
+            name,
+            def,
+            options: { ...def.defaults, ...options },
+            active: false,
+            since: 0,
+            fired: false,
+            cooldownUntil: 0
+        });
+    }
+
+    unregister(name) {
+        this.recognizers.delete(name);
+    }
+
+    configure(name, options) {
+        const recognizer = this.recognizers.get(name);
+        if (recognizer) Object.assign(recognizer.options, options);
+    }
+
+    isActive(name) {
+        const recognizer = this.recognizers.get(name);
+        return !!recognizer && recognizer.active;
+    }
+
+    // Returns the names of the gestures that fired on this frame
+    update(landmarks, now) {
+        const tip = landmarks[FINGERS.index.tip];
+        this.history.push({ x: tip.x, y: tip.y, time: now });
+        while (this.history.length && now - this.history[0].time > this.historyMs) this.history.shift();
+
+        const frame = { landmarks, history: this.history, time: now };
+        const fired = [];
+        let motionFired = false;
+
+        this.recognizers.forEach(recognizer => {
+            const engaged = recognizer.def.test(frame, recognizer.options, recognizer.active);
+
+            if (!engaged) {
+                recognizer.active = false;
+                recognizer.fired = false;
+                return;
+            }
+
+            if (!recognizer.active) {
+                recognizer.active = true;
+                recognizer.since = now;
+                recognizer.fired = false;
+            }
+
+            // Fire once per engagement, after the hold time and outside the cooldown
+            const { holdMs, cooldownMs } = recognizer.options;
+            if (!recognizer.fired && now - recognizer.since >= holdMs && now >= recognizer.cooldownUntil) {
+                recognizer.fired = true;
+                recognizer.cooldownUntil = now + cooldownMs;
+                fired.push(recognizer.name);
+                if (recognizer.def.motion) motionFired = true;
+            }
+        });
+
+        // A finished swipe shouldn't be measured again
+        if (motionFired) this.history = [];
+
+        return fired;
+    }
+
+    reset() {
+        this.history = [];
+        this.recognizers.forEach(recognizer => {
+            recognizer.active = false;
+            recognizer.fired = false;
+        });
+    }
+}
+
+// Which hand each entry of results.landmarks is, from the user's point of view.
+// MediaPipe labels assume a mirrored (selfie) image; pass swap=true for a raw webcam feed.
+export function labelHands(results, swap) {
+    const categories = results.handedness || results.handednesses || [];
+    const labels = [];
+
+    (results.landmarks || []).forEach((_, i) => {
+        const category = categories[i] && categories[i][0];
+        let label = category && category.categoryName;
+        if (!label) label = 'Right';
+        else if (swap) label = label === 'Left' ? 'Right' : 'Left';
+
+        // Both hands occasionally come back with the same label; the second gets the other one
+        if (labels.includes(label)) label = label === 'Left' ? 'Right' : 'Left';
+        labels.push(label);
+    });
+    return labels;
+}
+
+// Bindings apply to either hand; while both hands are visible, handBindings
+// can override (or unbind with null) a gesture per hand.
+export function resolveBinding(config, hand, gesture, twoHanded) {
+    const overrides = twoHanded && config.handBindings ? config.handBindings[hand] : null;
+    if (overrides && gesture in overrides) return overrides[gesture];
+    return config.bindings[gesture] || null;
+}
+
+// Midpoint between thumb and index tips, mirrored and flipped to y-up
+function pinchPoint(landmarks) {
+    const thumb = landmarks[THUMB.tip];
+    const index = landmarks[FINGERS.index.tip];
+    return { x: 1 - (thumb.x + index.x) / 2, y: 1 - (thumb.y + index.y) / 2 };
+}
+
+// Both hands pinching = grab. Reports how far the hands spread (scale) and
+// how much the line between them turned (rotation, radians, counter-clockwise
+// as the user sees it) since the grab started.
+export class TwoHandManipulation {
+    constructor() {
+        this.active = false;
+        this.startSpan = 0;
+        this.startAngle = 0;
+    }
+
+    update(left, right, engaged) {
+        if (!engaged || !left || !right) {
+            if (!this.active) return null;
+            this.active = false;
+            return { phase: 'end', scale: 1, rotation: 0 };
+        }
+
+        const a = pinchPoint(left);
+        const b = pinchPoint(right);
+        const span = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1e-6);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+
+        if (!this.active) {
+            this.active = true;
+            this.startSpan = span;
+            this.startAngle = angle;
+            return { phase: 'start', scale: 1, rotation: 0 };
+        }
+
+        let rotation = angle - this.startAngle;
+        if (rotation > Math.PI) rotation -= Math.PI * 2;
+        if (rotation < -Math.PI) rotation += Math.PI * 2;
+
+        return { phase: 'move', scale: span / this.startSpan, rotation };
+    }
+
+    reset() {
+        this.active = false;
+    }
+}
+
+// Turns per-hand landmarks into bound actions and two-hand manipulation.
+// Pure (no DOM / three.js) so recorded sessions can be checked headless.
+export class GestureRouter {
+    constructor(config) {
+        this.config = config;
+        this.registries = {
+            Left: new GestureRegistry(GESTURES, config.options),
+            Right: new GestureRegistry(GESTURES, config.options)
+        };
+        this.manipulation = new TwoHandManipulation();
+    }
+
+    isActive(hand, gesture) {
+        return this.registries[hand].isActive(gesture);
+    }
+
+    // Current options of a recognizer (the same for both hands)
+    options(gesture) {
+        const recognizer = this.registries.Left.recognizers.get(gesture);
+        return recognizer ? { ...recognizer.options } : null;
+    }
+
+    configure(gesture, options) {
+        Object.values(this.registries).forEach(registry => registry.configure(gesture, options));
+    }
+
+    // Options that differ from the recognizer defaults, shaped like config.options
+    changedOptions() {
+        const changed = {};
+        this.registries.Left.recognizers.forEach(({ name, def, options }) => {
+            Object.entries(options).forEach(([key, value]) => {
+                if (def.defaults[key] === value) return;
+                changed[name] = changed[name] || {};
+                changed[name][key] = value;
+            });
+        });
+        return changed;
+    }
+
+    // hands: [{ name: 'Left' | 'Right', landmarks }]
+    // fired lists every gesture that fired per hand, bound or not
+    update(hands, time) {
+        const names = hands.map(hand => hand.name);
+        Object.entries(this.registries).forEach(([name, registry]) => {
+            if (!names.includes(name)) registry.reset();
+        });
+
+        const twoHanded = hands.length === 2;
+        const fired = hands.map(hand => ({ hand: hand.name, gestures: this.registries[hand.name].update(hand.landmarks, time) }));
+
+        const left = hands.find(hand => hand.name === 'Left');
+        const right = hands.find(hand => hand.name === 'Right');
+        const grabbing = twoHanded && this.isActive('Left', 'pinch') && this.isActive('Right', 'pinch');
+        const manipulation = this.manipulation.update(left && left.landmarks, right && right.landmarks, grabbing);
+
+        // While grabbing with both hands, single-hand bindings are off
+        const actions = [];
+        if (!this.manipulation.active) {
+            fired.forEach(({ hand, gestures }) => gestures.forEach(gesture => {
+                const action = resolveBinding(this.config, hand, gesture, twoHanded);
+                if (action) actions.push({ hand, gesture, action });
+            }));
+        }
+
+        return { actions, manipulation, fired };
+    }
+
+    reset() {
+        Object.values(this.registries).forEach(registry => registry.reset());
+        this.manipulation.reset();
+    }
+}
+
+// First-visit tutorial: asks for each gesture in turn and ticks it off once it
+// has fired `repeats` times. Feed it one frame at a time; confidence is the
+// share of the last `windowMs` in which the asked-for gesture was recognized.
+export class GestureTutorial {
+    constructor(steps, { repeats = 2, windowMs = 1000 } = {}) {
+        this.steps = steps;
+        this.repeats = repeats;
+        this.windowMs = windowMs;
+        this.start();
+    }
+
+    start() {
+        this.step = 0;
+        this.count = 0;
+        this.samples = []; // { time, active }
+    }
+
+    get current() {
+        return this.steps[this.step] || null;
+    }
+
+    get done() {
+        return this.step >= this.steps.length;
+    }
+
+    // active: the asked-for gesture is engaged on some hand this frame; fired: it fired
+    // Returns { gesture, confidence, count, completed (this frame ticked it off), done }
+    update(active, fired, time) {
+        if (this.done) return { gesture: null, confidence: 1, count: this.repeats, completed: false, done: true };
+
+        this.samples.push({ time, active });
+        while (this.samples.length && time - this.samples[0].time > this.windowMs) this.samples.shift();
+        const confidence = this.samples.filter(sample => sample.active).length / this.samples.length;
+
+        const gesture = this.current;
+        if (fired) this.count++;
+        if (this.count < this.repeats) return { gesture, confidence, count: this.count, completed: false, done: false };
+
+        this.step++;
+        this.count = 0;
+        this.samples = [];
+        return { gesture, confidence, count: this.repeats, completed: true, done: this.done };
+    }
+}
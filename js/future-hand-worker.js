@@ -0,0 +1,65 @@
+// MediaPipe HandLandmarker in a Web Worker, so inference never blocks
+// the render loop. A classic worker (the vision bundle needs importScripts), so
+// no static imports here: the bundle comes in through import(). The page sends camera frames as transferred ImageBitmaps,
+// one at a time, and gets landmarks back whenever they're ready.
+//
+// Messages (page -> worker -> page):
+//   { type: 'init', visionModule, wasmPath }     -> { type: 'vision' }
+//   { type: 'load', model, numHands }            -> { type: 'ready', delegate }
+//   { type: 'detect', frame, time }              -> { type: 'results', time, results }
+// Any failure answers { type: 'error', step, message } (step = the message type).
+
+let vision = null;
+let HandLandmarker = null;
+let landmarker = null;
+
+async function init({ visionModule, wasmPath }) {
+    const tasks = await import(visionModule);
+    HandLandmarker = tasks.HandLandmarker;
+    vision = await tasks.FilesetResolver.forVisionTasks(wasmPath);
+    postMessage({ type: 'vision' });
+}
+
+async function load({ model, numHands }) {
+    const options = (delegate) => ({
+        baseOptions: { modelAssetBuffer: model, delegate },
+        runningMode: 'VIDEO',
+        numHands
+    });
+
+    // GPU needs WebGL on an OffscreenCanvas, which not every worker has
+    let delegate = 'GPU';
+    try {
+        landmarker = await HandLandmarker.createFromOptions(vision, options(delegate));
+    } catch (error) {
+        console.warn("Worker GPU delegate unavailable, using CPU:", error);
+        delegate = 'CPU';
+        landmarker = await HandLandmarker.createFromOptions(vision, options(delegate));
+    }
+    postMessage({ type: 'ready', delegate });
+}
+
+function detect({ frame, time }) {
+    try {
+        const results = landmarker.detectForVideo(frame, time);
+        // Only what the page uses; plain data for structured clone
+        postMessage({
+            type: 'results',
+            time,
+            results: { landmarks: results.landmarks, handednesses: results.handednesses || results.handedness }
+        });
+    } finally {
+        frame.close();
+    }
+}
+
+const handlers = { init, load, detect };
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        await handlers[message.type](message);
+    } catch (error) {
+        postMessage({ type: 'error', step: message.type, message: String(error && error.message || error) });
+    }
+};
@@ -0,0 +1,112 @@
+// Localization for future.html
+// Localizer looks strings up in the catalogs (future-locales.js) by dotted key,
+// falling back to English, and knows the locale's text direction and script.
+// Each script brings its own panel fonts and line spacing; DOM overlays are
+// translated through data-i18n attributes so a language switch can redo them.
+
+// Fonts are tried after Space Grotesk, which only covers Latin; sample text
+// makes document.fonts.load() fetch the right unicode-range subset.
+export const SCRIPTS = {
+    latin: { fonts: [], lineScale: 1, sample: 'Aa' },
+    devanagari: { fonts: ['"Noto Sans Devanagari"'], lineScale: 1.3, sample: 'कखग' }, // Matras sit above and below the line
+    arabic: { fonts: ['"Noto Naskh Arabic"'], lineScale: 1.35, sample: 'ابپ' }
+};
+
+// Font stack for panels and overlays
+export function fontStack(script, primary = '"Space Grotesk"') {
+    return [primary, ...script.fonts, 'sans-serif'].join(', ');
+}
+
+// Resolves once a script's fonts are in (or failed; the stack falls back)
+export function loadScriptFonts(script) {
+    if (!document.fonts) return Promise.resolve();
+    const loads = script.fonts.flatMap(family =>
+        ['bold', 'normal'].map(weight => document.fonts.load(`${weight} 48px ${family}`, script.sample)));
+    return Promise.all(loads).catch(() => {});
+}
+
+// First of the visitor's languages we have a catalog for: exact tag, then base language (hi-IN -> hi)
+export function detectLocale(available, requested = navigator.languages || [navigator.language]) {
+    for (const tag of requested) {
+        if (!tag) continue;
+        const lower = tag.toLowerCase();
+        const match = available.find(locale => locale.toLowerCase() === lower)
+            || available.find(locale => locale.toLowerCase() === lower.split('-')[0]);
+        if (match) return match;
+    }
+    return null;
+}
+
+function lookup(strings, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), strings);
+}
+
+export class Localizer {
+    constructor(locales, { fallback = 'en' } = {}) {
+        this.locales = locales; // locale -> { name, script, dir, strings, content }
+        this.fallback = fallback;
+        this.locale = fallback;
+        this.plurals = new Intl.PluralRules(fallback);
+        this.t = this.t.bind(this); // Handed around as a plain function (localize, translateDom)
+    }
+
+    get info() {
+        return this.locales[this.locale];
+    }
+
+    get dir() {
+        return this.info.dir || 'ltr';
+    }
+
+    get script() {
+        return SCRIPTS[this.info.script] || SCRIPTS.latin;
+    }
+
+    set(locale) {
+        if (!this.locales[locale]) {
+            console.warn("Unknown locale:", locale);
+            locale = this.fallback;
+        }
+        if (locale === this.locale) return;
+        this.locale = locale;
+        this.plurals = new Intl.PluralRules(locale);
+    }
+
+    has(key) {
+        return typeof lookup(this.locales[this.fallback].strings, key) === 'string';
+    }
+
+    // Plural strings are { one, other, ... } picked by params.count; {name} placeholders are filled from params
+    t(key, params = {}) {
+        let value = lookup(this.info.strings, key);
+        if (value === undefined) value = lookup(this.locales[this.fallback].strings, key);
+        if (value === undefined) {
+            console.warn("Missing string:", key);
+            return key;
+        }
+        if (typeof value === 'object') value = value[this.plurals.select(params.count)] || value.other;
+        return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // A manifest item's translated fields ({ text, subtitle, body, label }), by item id
+    content(id) {
+        return (this.info.content || {})[id] || {};
+    }
+}
+
+// Sets an element's text from the catalog and remembers the key (and params),
+// so translateDom() can redo it after a language switch
+export function localize(element, t, key, params = null) {
+    element.dataset.i18n = key;
+    if (params) element.dataset.i18nParams = JSON.stringify(params);
+    else delete element.dataset.i18nParams;
+    element.textContent = t(key, params || {});
+}
+
+// Every [data-i18n] element under root gets its string again
+export function translateDom(root, t) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        element.textContent = t(element.dataset.i18n, params);
+    });
+}
@@ -0,0 +1,258 @@
+// Contact inquiry flow for the 3D Contact section
+// InquiryForm drives the DOM overlay form and reports status changes
+// ('idle' | 'editing' | 'invalid' | 'sending' | 'sent' | 'queued' | 'error')
+// so the scene can mirror them on its panel. Inquiries that can't be sent
+// (offline, network error, server error) wait in an IndexedDB outbox.
+
+import { ref } from './future-template.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Default wording; the page passes its own text(key) for other languages
+export const INQUIRY_MESSAGES = {
+    name: 'Please enter your name.',
+    email: 'Please enter a valid email.',
+    message: 'Tell us a little more (10+ characters).',
+    invalid: 'Please fix the highlighted fields.',
+    sending: 'Sending...',
+    sent: "Thanks! We'll be in touch.",
+    queued: "You're offline. We'll send it as soon as you reconnect.",
+    error: "Couldn't send your inquiry. Please try again."
+};
+
+const defaultText = key => INQUIRY_MESSAGES[key];
+
+// Returns { field: message } for every invalid field (empty object = valid)
+export function validateInquiry({ name, email, message }, text = defaultText) {
+    const errors = {};
+    if (!name || name.trim().length < 2) errors.name = text('name');
+    if (!email || !EMAIL_PATTERN.test(email.trim())) errors.email = text('email');
+    if (!message || message.trim().length < 10) errors.message = text('message');
+    return errors;
+}
+
+class HttpError extends Error {
+    constructor(status) {
+        super(`HTTP ${status}`);
+        this.status = status;
+    }
+}
+
+async function postInquiry(endpoint, payload) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    if (!response.ok) throw new HttpError(response.status);
+}
+
+// Worth retrying later: no connection, request never got through, or the server had a bad moment
+function isRetryable(error) {
+    return !(error instanceof HttpError) || error.status >= 500 || error.status === 429;
+}
+
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+// Outbox of unsent inquiries, persisted in IndexedDB
+export class InquiryQueue {
+    constructor(endpoint, { dbName = 'future-inquiries', retryInterval = 30000 } = {}) {
+        this.endpoint = endpoint;
+        this.dbName = dbName;
+        this.retryInterval = retryInterval;
+        this.db = null;
+        this.flushing = false;
+        this.onSent = null; // Called with the payload when a queued inquiry goes out
+        this.flush = this.flush.bind(this);
+    }
+
+    open() {
+        if (!this.db) {
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            this.db = request(req);
+        }
+        return this.db;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction('outbox', mode).objectStore('outbox');
+    }
+
+    async add(payload) {
+        await request((await this.store('readwrite')).add({ payload, createdAt: Date.now(), attempts: 0 }));
+    }
+
+    async all() {
+        return request((await this.store('readonly')).getAll());
+    }
+
+    // Retry on reconnect, on an interval, and right away for anything left from a previous visit
+    start() {
+        if (typeof indexedDB === 'undefined') return;
+        window.addEventListener('online', this.flush);
+        this.timer = setInterval(this.flush, this.retryInterval);
+        this.flush();
+    }
+
+    stop() {
+        window.removeEventListener('online', this.flush);
+        clearInterval(this.timer);
+    }
+
+    async flush() {
+        if (this.flushing || !navigator.onLine) return;
+        this.flushing = true;
+
+        try {
+            for (const entry of await this.all()) {
+                try {
+                    await postInquiry(this.endpoint, entry.payload);
+                    await request((await this.store('readwrite')).delete(entry.id));
+                    if (this.onSent) this.onSent(entry.payload);
+                } catch (error) {
+                    if (isRetryable(error)) {
+                        entry.attempts++;
+                        await request((await this.store('readwrite')).put(entry));
+                        break; // Still down, try the rest next time
+                    }
+                    // Rejected by the server, retrying won't help
+                    console.error("Dropping queued inquiry:", error);
+                    await request((await this.store('readwrite')).delete(entry.id));
+                }
+            }
+        } catch (error) {
+            console.error("Inquiry outbox error:", error);
+        } finally {
+            this.flushing = false;
+        }
+    }
+}
+
+export class InquiryForm {
+    // form: the template's inquiry-form element, holding the fields, feedback line and send button
+    // text: (INQUIRY_MESSAGES key) => message, looked up each time so a language switch applies
+    constructor({ form, endpoint, retryInterval, onStatus, text = defaultText }) {
+        this.endpoint = endpoint;
+        this.onStatus = onStatus || (() => {});
+        this.text = text;
+        this.status = 'idle';
+
+        this.root = form;
+        this.fields = {
+            name: this.root.querySelector('[name="name"]'),
+            email: this.root.querySelector('[name="email"]'),
+            message: this.root.querySelector('[name="message"]')
+        };
+        this.feedback = ref(this.root, 'inquiry-feedback');
+        this.btnSend = ref(this.root, 'btn-send-inquiry');
+
+        this.root.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        Object.values(this.fields).forEach(field => {
+            field.addEventListener('input', () => {
+                this.setFieldError(field.name, null);
+                if (this.status !== 'sending' && this.status !== 'editing') this.setStatus('editing');
+            });
+        });
+
+        this.queue = new InquiryQueue(endpoint, { retryInterval });
+        this.queue.onSent = () => console.log("Queued inquiry sent");
+        this.queue.start();
+    }
+
+    get visible() {
+        return !this.root.classList.contains('hidden');
+    }
+
+    show() {
+        this.root.classList.remove('hidden');
+        this.fields.name.focus({ preventScroll: true });
+    }
+
+    hide() {
+        this.root.classList.add('hidden');
+        if (document.activeElement && this.root.contains(document.activeElement)) document.activeElement.blur();
+    }
+
+    values() {
+        return {
+            name: this.fields.name.value.trim(),
+            email: this.fields.email.value.trim(),
+            message: this.fields.message.value.trim()
+        };
+    }
+
+    setFieldError(name, message) {
+        const field = this.fields[name];
+        const hint = this.root.querySelector(`[data-error-for="${name}"]`);
+        field.classList.toggle('border-red-400', !!message);
+        field.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (hint) hint.textContent = message || '';
+    }
+
+    setStatus(status, detail = '') {
+        this.status = status;
+        this.feedback.textContent = detail;
+        this.btnSend.disabled = status === 'sending';
+        this.onStatus(status, detail);
+    }
+
+    async submit() {
+        if (this.status === 'sending') return;
+        if (!this.visible) {
+            this.show();
+            return;
+        }
+
+        const values = this.values();
+        const errors = validateInquiry(values, this.text);
+        Object.keys(this.fields).forEach(name => this.setFieldError(name, errors[name]));
+        if (Object.keys(errors).length) {
+            this.fields[Object.keys(errors)[0]].focus({ preventScroll: true });
+            this.setStatus('invalid', this.text('invalid'));
+            return;
+        }
+
+        const payload = { ...values, page: window.location.href, sentAt: new Date().toISOString() };
+        this.setStatus('sending', this.text('sending'));
+
+        try {
+            if (!navigator.onLine) throw new TypeError('offline');
+            await postInquiry(this.endpoint, payload);
+            this.reset();
+            this.setStatus('sent', this.text('sent'));
+        } catch (error) {
+            if (isRetryable(error) && typeof indexedDB !== 'undefined') {
+                try {
+                    await this.queue.add(payload);
+                    this.reset();
+                    this.setStatus('queued', this.text('queued'));
+                    return;
+                } catch (queueError) {
+                    console.error("Could not queue inquiry:", queueError);
+                }
+            }
+            console.error("Error sending inquiry:", error);
+            this.setStatus('error', this.text('error'));
+        }
+    }
+
+    dispose() {
+        this.queue.stop();
+        this.hide();
+    }
+
+    reset() {
+        this.root.reset();
+        Object.keys(this.fields).forEach(name => this.setFieldError(name, null));
+    }
+}
@@ -0,0 +1,404 @@
+// String catalogs for future.html (see future-i18n.js)
+// English is complete and the fallback for anything another locale leaves out.
+// `content` translates the scene manifest (future-content.js) by item id; English
+// comes from the manifest itself. `script` picks the panel fonts, `dir` the layout.
+
+import { INQUIRY_MESSAGES } from './future-inquiry.js';
+import { CAMERA_MESSAGES } from './future-camera.js';
+
+export const LOCALES = {
+    en: {
+        name: 'English',
+        script: 'latin',
+        dir: 'ltr',
+        strings: {
+            language: 'Language',
+            loading: {
+                tagline: 'Initializing Neural Link...',
+                fonts: 'Loading fonts',
+                scene: 'Loading scene assets',
+                vision: 'Loading vision runtime',
+                model: 'Downloading hand model',
+                landmarker: 'Starting hand tracking',
+                step: '{label}...',
+                ready: 'Ready'
+            },
+            permission: {
+                title: 'Camera Access Required',
+                text: 'This experience uses your hand gestures to navigate. All processing is done locally on your device.',
+                allow: 'Allow Camera',
+                mouse: 'Use Mouse',
+                retry: 'Retry',
+                progress: '{label}... {percent}%',
+                failed: '{label} failed. Check your connection and try again.',
+                ready: 'Hand tracking ready'
+            },
+            calibration: {
+                title: 'Calibrate Your Reach',
+                text: 'Point at the glowing corner and hold still.',
+                'top-left': 'Point at the top left corner of your reach and hold still.',
+                'top-right': 'Point at the top right corner of your reach and hold still.',
+                'bottom-right': 'Point at the bottom right corner of your reach and hold still.',
+                'bottom-left': 'Point at the bottom left corner of your reach and hold still.',
+                skip: 'Skip'
+            },
+            onboarding: {
+                title: 'Learn the Gestures',
+                seeing: 'Seeing: {icon} {gesture}',
+                nothing: 'Seeing: nothing yet',
+                skip: 'Skip',
+                steps: {
+                    open_palm: { label: 'Open palm', hint: 'Show an open palm to open the menu.' },
+                    point: { label: 'Point', hint: 'Point with your index finger to move the cursor.' },
+                    pinch: { label: 'Pinch', hint: 'Pinch thumb and index finger together to select.' },
+                    fist: { label: 'Fist', hint: 'Make a fist to go back.' }
+                }
+            },
+            inquiry: {
+                title: 'Bring the Future',
+                fields: { name: 'Name', email: 'Email', message: 'Message' },
+                send: 'Send Inquiry',
+                messages: INQUIRY_MESSAGES,
+                // Contact panel text per status (idle = the manifest text)
+                panel: {
+                    editing: { title: 'Tell us about', subtitle: 'your project' },
+                    invalid: { title: 'Almost there', subtitle: 'Check the form' },
+                    sending: { title: 'Sending...', subtitle: '' },
+                    sent: { title: 'Sent!', subtitle: "We'll be in touch" },
+                    queued: { title: 'Saved offline', subtitle: 'Sends when online' },
+                    error: { title: "Couldn't send", subtitle: 'Please try again' }
+                }
+            },
+            guide: {
+                menu: 'MENU',
+                hover: 'HOVER',
+                select: 'SELECT',
+                back: 'BACK',
+                selectBy: 'Select by',
+                modes: { pinch: 'Pinch', release: 'Pinch & release', dwell: 'Hovering (dwell)', scan: 'Switch scanning' }
+            },
+            kiosk: {
+                raiseHand: '🖐 Raise your hand to take control',
+                palm: '✋ Show an open palm to open the menu',
+                point: '👉 Point to move the cursor',
+                pinch: '🤏 Pinch to select',
+                fist: '👊 Make a fist to go back',
+                swipe: '👋 Swipe to move between sections'
+            },
+            camera: {
+                picker: 'Camera',
+                unnamed: 'Camera {number}',
+                fallback: 'You can keep exploring with the mouse.',
+                retry: 'Try Again',
+                dismiss: 'Dismiss',
+                errors: CAMERA_MESSAGES // Per failure kind
+            },
+            start: {
+                title: 'CONTROL THE WEB',
+                titleAccent: 'WITH YOUR HANDS',
+                raiseHand: 'Raise Hand to Start',
+                clickOrb: 'Click the Orb to Start',
+                active: 'SYSTEM ACTIVE',
+                activeHint: 'Raise your hand to see the cursor.'
+            },
+            scene: {
+                home: 'Home',
+                menu: 'Menu',
+                openMenu: 'Open menu',
+                turntable: 'Start or stop the turntable'
+            },
+            mirror: {
+                instructions: 'Arrow keys move between options, Enter selects, Escape goes back.',
+                options: { one: '{count} option', other: '{count} options' }
+            }
+        }
+    },
+
+    hi: {
+        name: 'हिन्दी',
+        script: 'devanagari',
+        dir: 'ltr',
+        strings: {
+            language: 'भाषा',
+            loading: {
+                tagline: 'न्यूरल लिंक शुरू हो रहा है...',
+                fonts: 'फ़ॉन्ट लोड हो रहे हैं',
+                scene: 'दृश्य लोड हो रहा है',
+                vision: 'विज़न रनटाइम लोड हो रहा है',
+                model: 'हैंड मॉडल डाउनलोड हो रहा है',
+                landmarker: 'हैंड ट्रैकिंग शुरू हो रही है',
+                ready: 'तैयार'
+            },
+            permission: {
+                title: 'कैमरा एक्सेस ज़रूरी है',
+                text: 'यह अनुभव आपके हाथ के इशारों से चलता है। सारी प्रोसेसिंग आपके डिवाइस पर ही होती है।',
+                allow: 'कैमरा चालू करें',
+                mouse: 'माउस इस्तेमाल करें',
+                retry: 'फिर कोशिश करें',
+                failed: '{label} विफल रहा। अपना कनेक्शन जाँचें और फिर कोशिश करें।',
+                ready: 'हैंड ट्रैकिंग तैयार है'
+            },
+            calibration: {
+                title: 'अपनी पहुँच कैलिब्रेट करें',
+                text: 'चमकते कोने की ओर इशारा करें और स्थिर रहें।',
+                'top-left': 'अपनी पहुँच के ऊपरी बाएँ कोने की ओर इशारा करें और स्थिर रहें।',
+                'top-right': 'अपनी पहुँच के ऊपरी दाएँ कोने की ओर इशारा करें और स्थिर रहें।',
+                'bottom-right': 'अपनी पहुँच के निचले दाएँ कोने की ओर इशारा करें और स्थिर रहें।',
+                'bottom-left': 'अपनी पहुँच के निचले बाएँ कोने की ओर इशारा करें और स्थिर रहें।',
+                skip: 'छोड़ें'
+            },
+            onboarding: {
+                title: 'इशारे सीखें',
+                seeing: 'दिख रहा है: {icon} {gesture}',
+                nothing: 'दिख रहा है: अभी कुछ नहीं',
+                skip: 'छोड़ें',
+                steps: {
+                    open_palm: { label: 'खुली हथेली', hint: 'मेनू खोलने के लिए खुली हथेली दिखाएँ।' },
+                    point: { label: 'इशारा', hint: 'कर्सर चलाने के लिए तर्जनी उँगली से इशारा करें।' },
+                    pinch: { label: 'चुटकी', hint: 'चुनने के लिए अँगूठा और तर्जनी मिलाएँ।' },
+                    fist: { label: 'मुट्ठी', hint: 'वापस जाने के लिए मुट्ठी बनाएँ।' }
+                }
+            },
+            inquiry: {
+                title: 'भविष्य को साथ लाएँ',
+                fields: { name: 'नाम', email: 'ईमेल', message: 'संदेश' },
+                send: 'पूछताछ भेजें',
+                messages: {
+                    name: 'कृपया अपना नाम लिखें।',
+                    email: 'कृपया सही ईमेल लिखें।',
+                    message: 'थोड़ा और बताइए (10+ अक्षर)।',
+                    invalid: 'कृपया चिह्नित फ़ील्ड ठीक करें।',
+                    sending: 'भेजा जा रहा है...',
+                    sent: 'धन्यवाद! हम जल्द संपर्क करेंगे।',
+                    queued: 'आप ऑफ़लाइन हैं। कनेक्शन लौटते ही हम इसे भेज देंगे।',
+                    error: 'आपकी पूछताछ नहीं भेजी जा सकी। कृपया फिर कोशिश करें।'
+                },
+                panel: {
+                    editing: { title: 'अपने प्रोजेक्ट के', subtitle: 'बारे में बताइए' },
+                    invalid: { title: 'बस थोड़ा और', subtitle: 'फ़ॉर्म जाँचें' },
+                    sending: { title: 'भेजा जा रहा है...', subtitle: '' },
+                    sent: { title: 'भेज दिया!', subtitle: 'हम संपर्क करेंगे' },
+                    queued: { title: 'ऑफ़लाइन सहेजा गया', subtitle: 'ऑनलाइन होते ही जाएगा' },
+                    error: { title: 'नहीं भेज सके', subtitle: 'फिर कोशिश करें' }
+                }
+            },
+            guide: {
+                menu: 'मेनू',
+                hover: 'होवर',
+                select: 'चुनें',
+                back: 'वापस',
+                selectBy: 'चुनने का तरीका',
+                modes: { pinch: 'चुटकी', release: 'चुटकी और छोड़ना', dwell: 'होवर करके (ड्वेल)', scan: 'स्विच स्कैनिंग' }
+            },
+            kiosk: {
+                raiseHand: '🖐 नियंत्रण लेने के लिए हाथ उठाएँ',
+                palm: '✋ मेनू खोलने के लिए खुली हथेली दिखाएँ',
+                point: '👉 कर्सर चलाने के लिए इशारा करें',
+                pinch: '🤏 चुनने के लिए चुटकी बनाएँ',
+                fist: '👊 वापस जाने के लिए मुट्ठी बनाएँ',
+                swipe: '👋 सेक्शन बदलने के लिए स्वाइप करें'
+            },
+            camera: {
+                picker: 'कैमरा',
+                unnamed: 'कैमरा {number}',
+                fallback: 'आप माउस से देखना जारी रख सकते हैं।',
+                retry: 'फिर कोशिश करें',
+                dismiss: 'बंद करें',
+                errors: {
+                    denied: {
+                        title: 'कैमरा ब्लॉक है',
+                        text: 'कैमरा एक्सेस की अनुमति नहीं मिली। एड्रेस बार में कैमरा आइकन से अनुमति दें, फिर कोशिश करें।'
+                    },
+                    not_found: { title: 'कोई कैमरा नहीं मिला', text: 'कैमरा जोड़ें और फिर कोशिश करें।' },
+                    in_use: { title: 'कैमरा उपयोग में है', text: 'कोई और ऐप या टैब कैमरा इस्तेमाल कर रहा है। उसे बंद करें और फिर कोशिश करें।' },
+                    unsupported: { title: 'कैमरा उपलब्ध नहीं', text: 'यह ब्राउज़र (या असुरक्षित http:// पेज) कैमरा इस्तेमाल नहीं कर सकता।' },
+                    lost: { title: 'कैमरा डिस्कनेक्ट हो गया', text: 'कैमरे से वीडियो आना बंद हो गया। उसे फिर से जोड़ें और कोशिश करें।' },
+                    unknown: { title: 'कैमरा त्रुटि', text: 'कैमरा शुरू नहीं हो सका।' }
+                }
+            },
+            start: {
+                title: 'वेब को नियंत्रित करें',
+                titleAccent: 'अपने हाथों से',
+                raiseHand: 'शुरू करने के लिए हाथ उठाएँ',
+                clickOrb: 'शुरू करने के लिए ऑर्ब पर क्लिक करें',
+                active: 'सिस्टम सक्रिय',
+                activeHint: 'कर्सर देखने के लिए अपना हाथ उठाएँ।'
+            },
+            scene: {
+                home: 'होम',
+                menu: 'मेनू',
+                openMenu: 'मेनू खोलें',
+                turntable: 'टर्नटेबल चालू या बंद करें'
+            },
+            mirror: {
+                instructions: 'तीर कुंजियों से विकल्पों के बीच जाएँ, Enter से चुनें, Escape से वापस जाएँ।',
+                options: { one: '{count} विकल्प', other: '{count} विकल्प' }
+            }
+        },
+        content: {
+            experience: { text: 'अनुभव' },
+            technology: { text: 'तकनीक' },
+            for_brands: { text: 'ब्रांड्स के लिए' },
+            contact: { text: 'संपर्क' },
+            exp_main: { text: 'सब कुछ नियंत्रित होता है', subtitle: 'आपके हाथ के इशारों से।' },
+            tech_main: {
+                text: 'MediaPipe से संचालित',
+                subtitle: 'और Three.js WebGL',
+                body: 'हैंड ट्रैकिंग आपके ब्राउज़र में चलती है। कोई वीडियो आपके डिवाइस से बाहर नहीं जाता।'
+            },
+            tech_how: { text: 'यह कैसे काम करता है' },
+            tech_camera: { text: '1. कैमरा', body: 'फ़्रेम आपके डिवाइस पर ही रहते हैं।' },
+            tech_landmarks: { text: '2. हाथ के लैंडमार्क', body: 'हर हाथ के 21 बिंदु, एक बैकग्राउंड वर्कर में खोजे जाते हैं।' },
+            tech_gestures: { text: '3. इशारे', body: 'चुटकी, हथेली, मुट्ठी और स्वाइप से दृश्य चलता है।' },
+            brand_1: { text: 'लग्ज़री ऑटो' },
+            brand_2: { text: 'टेक लॉन्च' },
+            brand_3: { text: 'फ़ैशन ड्रॉप' },
+            contact_main: { text: 'भेजने के लिए हाथ हिलाएँ', subtitle: 'पूछताछ' },
+            submit_btn: { label: 'पूछताछ भेजें' }
+        }
+    },
+
+    ur: {
+        name: 'اردو',
+        script: 'arabic',
+        dir: 'rtl',
+        strings: {
+            language: 'زبان',
+            loading: {
+                tagline: 'نیورل لنک شروع ہو رہا ہے...',
+                fonts: 'فونٹ لوڈ ہو رہے ہیں',
+                scene: 'منظر لوڈ ہو رہا ہے',
+                vision: 'ویژن رن ٹائم لوڈ ہو رہا ہے',
+                model: 'ہینڈ ماڈل ڈاؤن لوڈ ہو رہا ہے',
+                landmarker: 'ہینڈ ٹریکنگ شروع ہو رہی ہے',
+                ready: 'تیار'
+            },
+            permission: {
+                title: 'کیمرے تک رسائی درکار ہے',
+                text: 'یہ تجربہ آپ کے ہاتھ کے اشاروں سے چلتا ہے۔ ساری پروسیسنگ آپ کے آلے پر ہی ہوتی ہے۔',
+                allow: 'کیمرا چالو کریں',
+                mouse: 'ماؤس استعمال کریں',
+                retry: 'دوبارہ کوشش کریں',
+                failed: '{label} ناکام رہا۔ اپنا کنکشن چیک کریں اور دوبارہ کوشش کریں۔',
+                ready: 'ہینڈ ٹریکنگ تیار ہے'
+            },
+            calibration: {
+                title: 'اپنی پہنچ کیلیبریٹ کریں',
+                text: 'چمکتے کونے کی طرف اشارہ کریں اور ساکن رہیں۔',
+                'top-left': 'اپنی پہنچ کے اوپری بائیں کونے کی طرف اشارہ کریں اور ساکن رہیں۔',
+                'top-right': 'اپنی پہنچ کے اوپری دائیں کونے کی طرف اشارہ کریں اور ساکن رہیں۔',
+                'bottom-right': 'اپنی پہنچ کے نچلے دائیں کونے کی طرف اشارہ کریں اور ساکن رہیں۔',
+                'bottom-left': 'اپنی پہنچ کے نچلے بائیں کونے کی طرف اشارہ کریں اور ساکن رہیں۔',
+                skip: 'چھوڑیں'
+            },
+            onboarding: {
+                title: 'اشارے سیکھیں',
+                seeing: 'نظر آ رہا ہے: {icon} {gesture}',
+                nothing: 'نظر آ رہا ہے: ابھی کچھ نہیں',
+                skip: 'چھوڑیں',
+                steps: {
+                    open_palm: { label: 'کھلی ہتھیلی', hint: 'مینو کھولنے کے لیے کھلی ہتھیلی دکھائیں۔' },
+                    point: { label: 'اشارہ', hint: 'کرسر ہلانے کے لیے شہادت کی انگلی سے اشارہ کریں۔' },
+                    pinch: { label: 'چٹکی', hint: 'منتخب کرنے کے لیے انگوٹھا اور شہادت کی انگلی ملائیں۔' },
+                    fist: { label: 'مٹھی', hint: 'واپس جانے کے لیے مٹھی بنائیں۔' }
+                }
+            },
+            inquiry: {
+                title: 'مستقبل کو ساتھ لائیں',
+                fields: { name: 'نام', email: 'ای میل', message: 'پیغام' },
+                send: 'انکوائری بھیجیں',
+                messages: {
+                    name: 'براہ کرم اپنا نام لکھیں۔',
+                    email: 'براہ کرم درست ای میل لکھیں۔',
+                    message: 'تھوڑا اور بتائیں (10+ حروف)۔',
+                    invalid: 'براہ کرم نشان زدہ خانے درست کریں۔',
+                    sending: 'بھیجا جا رہا ہے...',
+                    sent: 'شکریہ! ہم جلد رابطہ کریں گے۔',
+                    queued: 'آپ آف لائن ہیں۔ کنکشن بحال ہوتے ہی ہم اسے بھیج دیں گے۔',
+                    error: 'آپ کی انکوائری نہیں بھیجی جا سکی۔ براہ کرم دوبارہ کوشش کریں۔'
+                },
+                panel: {
+                    editing: { title: 'اپنے پروجیکٹ کے', subtitle: 'بارے میں بتائیں' },
+                    invalid: { title: 'بس تھوڑا سا اور', subtitle: 'فارم چیک کریں' },
+                    sending: { title: 'بھیجا جا رہا ہے...', subtitle: '' },
+                    sent: { title: 'بھیج دیا!', subtitle: 'ہم رابطہ کریں گے' },
+                    queued: { title: 'آف لائن محفوظ', subtitle: 'آن لائن ہوتے ہی جائے گا' },
+                    error: { title: 'نہیں بھیج سکے', subtitle: 'دوبارہ کوشش کریں' }
+                }
+            },
+            guide: {
+                menu: 'مینو',
+                hover: 'ہوور',
+                select: 'منتخب',
+                back: 'واپس',
+                selectBy: 'انتخاب کا طریقہ',
+                modes: { pinch: 'چٹکی', release: 'چٹکی اور چھوڑنا', dwell: 'ہوور کر کے (ڈویل)', scan: 'سوئچ اسکیننگ' }
+            },
+            kiosk: {
+                raiseHand: '🖐 کنٹرول سنبھالنے کے لیے ہاتھ اٹھائیں',
+                palm: '✋ مینو کھولنے کے لیے کھلی ہتھیلی دکھائیں',
+                point: '👉 کرسر ہلانے کے لیے اشارہ کریں',
+                pinch: '🤏 منتخب کرنے کے لیے چٹکی بنائیں',
+                fist: '👊 واپس جانے کے لیے مٹھی بنائیں',
+                swipe: '👋 سیکشن بدلنے کے لیے سوائپ کریں'
+            },
+            camera: {
+                picker: 'کیمرا',
+                unnamed: 'کیمرا {number}',
+                fallback: 'آپ ماؤس سے دیکھنا جاری رکھ سکتے ہیں۔',
+                retry: 'دوبارہ کوشش کریں',
+                dismiss: 'بند کریں',
+                errors: {
+                    denied: {
+                        title: 'کیمرا بلاک ہے',
+                        text: 'کیمرے تک رسائی کی اجازت نہیں ملی۔ ایڈریس بار میں کیمرے کے آئیکن سے اجازت دیں، پھر دوبارہ کوشش کریں۔'
+                    },
+                    not_found: { title: 'کوئی کیمرا نہیں ملا', text: 'کیمرا لگائیں اور دوبارہ کوشش کریں۔' },
+                    in_use: { title: 'کیمرا استعمال میں ہے', text: 'کوئی اور ایپ یا ٹیب کیمرا استعمال کر رہا ہے۔ اسے بند کریں اور دوبارہ کوشش کریں۔' },
+                    unsupported: { title: 'کیمرا دستیاب نہیں', text: 'یہ براؤزر (یا غیر محفوظ http:// صفحہ) کیمرا استعمال نہیں کر سکتا۔' },
+                    lost: { title: 'کیمرا منقطع ہو گیا', text: 'کیمرے سے ویڈیو آنا بند ہو گئی۔ اسے دوبارہ لگائیں اور کوشش کریں۔' },
+                    unknown: { title: 'کیمرے کی خرابی', text: 'کیمرا شروع نہیں ہو سکا۔' }
+                }
+            },
+            start: {
+                title: 'ویب کو کنٹرول کریں',
+                titleAccent: 'اپنے ہاتھوں سے',
+                raiseHand: 'شروع کرنے کے لیے ہاتھ اٹھائیں',
+                clickOrb: 'شروع کرنے کے لیے اورب پر کلک کریں',
+                active: 'سسٹم فعال',
+                activeHint: 'کرسر دیکھنے کے لیے اپنا ہاتھ اٹھائیں۔'
+            },
+            scene: {
+                home: 'ہوم',
+                menu: 'مینو',
+                openMenu: 'مینو کھولیں',
+                turntable: 'ٹرن ٹیبل چلائیں یا روکیں'
+            },
+            mirror: {
+                instructions: 'تیر والی کلیدوں سے اختیارات کے درمیان جائیں، Enter سے منتخب کریں، Escape سے واپس جائیں۔',
+                options: { one: '{count} اختیار', other: '{count} اختیارات' }
+            }
+        },
+        content: {
+            experience: { text: 'تجربہ' },
+            technology: { text: 'ٹیکنالوجی' },
+            for_brands: { text: 'برانڈز کے لیے' },
+            contact: { text: 'رابطہ' },
+            exp_main: { text: 'سب کچھ کنٹرول ہوتا ہے', subtitle: 'آپ کے ہاتھ کے اشاروں سے۔' },
+            tech_main: {
+                text: 'MediaPipe سے تقویت یافتہ',
+                subtitle: 'اور Three.js WebGL',
+                body: 'ہینڈ ٹریکنگ آپ کے براؤزر میں چلتی ہے۔ کوئی ویڈیو آپ کے آلے سے باہر نہیں جاتی۔'
+            },
+            tech_how: { text: 'یہ کیسے کام کرتا ہے' },
+            tech_camera: { text: '1. کیمرا', body: 'فریم آپ کے آلے پر ہی رہتے ہیں۔' },
+            tech_landmarks: { text: '2. ہاتھ کے لینڈمارکس', body: 'ہر ہاتھ کے 21 نقاط، ایک بیک گراؤنڈ ورکر میں تلاش کیے جاتے ہیں۔' },
+            tech_gestures: { text: '3. اشارے', body: 'چٹکی، ہتھیلی، مٹھی اور سوائپ سے منظر چلتا ہے۔' },
+            brand_1: { text: 'لگژری آٹو' },
+            brand_2: { text: 'ٹیک لانچ' },
+            brand_3: { text: 'فیشن ڈراپ' },
+            contact_main: { text: 'بھیجنے کے لیے ہاتھ ہلائیں', subtitle: 'انکوائری' },
+            submit_btn: { label: 'انکوائری بھیجیں' }
+        }
+    }
+};
@@ -0,0 +1,161 @@
+// Accessible DOM mirror of the 3D navigation
+// Everything selectable lives in a WebGL canvas, so this keeps a visually hidden
+// list of real buttons in step with the current route: Tab / arrow keys move
+// focus (and the 3D hover with it), Enter selects, Escape goes back, and a live
+// region announces where the visitor ended up. Keys only count while focus is
+// inside the experience, so a host page keeps its own scrolling and Escape.
+
+// Panels read their current canvas content (status text included); other items their label
+function describe(mesh) {
+    const panel = mesh.userData.panel;
+    if (panel) {
+        return { label: [panel.title, panel.subtitle].filter(Boolean).join(', '), description: panel.body || '' };
+    }
+    return { label: mesh.userData.label || mesh.userData.id, description: '' };
+}
+
+// "3 options", after the place name; the app passes a translated one
+function countOptions(count) {
+    return `${count} ${count === 1 ? 'option' : 'options'}`;
+}
+
+const NEXT_KEYS = ['ArrowDown', 'ArrowRight'];
+const PREVIOUS_KEYS = ['ArrowUp', 'ArrowLeft'];
+const MIRRORED_KEYS = { ArrowLeft: 'ArrowRight', ArrowRight: 'ArrowLeft' };
+
+export class SceneMirror {
+    // ui: { routeTargets(), describeRoute(), hover(mesh), unhover(mesh), select(mesh, source), back() }
+    constructor(ui, { root, list, heading, announcer, describeCount = countOptions }) {
+        this.ui = ui;
+        this.describeCount = describeCount;
+        this.root = root; // Listens for keys here: only while focus is inside
+        this.list = list;
+        this.heading = heading;
+        this.announcer = announcer;
+        this.rows = new Map(); // mesh -> { item, button, description }
+        this.focused = null; // Mesh whose button has focus
+        this.started = false;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    // Once the visitor is in the experience (not behind the permission prompt)
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.root.addEventListener('keydown', this.onKeyDown);
+        this.render(true);
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+        this.root.removeEventListener('keydown', this.onKeyDown);
+        clearTimeout(this.announceTimer);
+        this.blurItem();
+        this.list.innerHTML = '';
+        this.rows.clear();
+    }
+
+    // Rebuilds the list for the current route; focus stays in the list if it was there
+    render(announce = false) {
+        if (!this.started) return;
+        const hadFocus = this.list.contains(document.activeElement);
+        this.blurItem(); // Removing a focused button doesn't reliably fire blur
+
+        this.list.innerHTML = '';
+        this.rows.clear();
+        const place = this.ui.describeRoute();
+        this.heading.textContent = place;
+
+        const targets = this.ui.routeTargets();
+        targets.forEach(mesh => {
+            const item = document.createElement('li');
+            const row = { item, button: null, description: document.createElement('p') };
+
+            // Panels without an action are just text
+            if (mesh.userData.action) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.addEventListener('click', () => this.ui.select(mesh, 'keyboard'));
+                button.addEventListener('focus', () => {
+                    this.focused = mesh;
+                    this.ui.hover(mesh);
+                });
+                button.addEventListener('blur', () => this.blurItem(mesh));
+                row.button = button;
+                item.appendChild(button);
+            }
+            item.appendChild(row.description);
+            this.rows.set(mesh, row);
+            this.refreshItem(mesh);
+            this.list.appendChild(item);
+        });
+
+        if (hadFocus) this.focusAt(0);
+        if (announce) {
+            const count = [...this.rows.values()].filter(row => row.button).length;
+            this.announce(`${place}. ${this.describeCount(count)}.`);
+        }
+    }
+
+    // An item's text or disabled state changed
+    refreshItem(mesh) {
+        const row = this.rows.get(mesh);
+        if (!row) return;
+        const { label, description } = describe(mesh);
+        if (row.button) {
+            row.button.textContent = label;
+            // aria-disabled keeps it focusable, so it is still found and read out
+            if (mesh.userData.disabled) row.button.setAttribute('aria-disabled', 'true');
+            else row.button.removeAttribute('aria-disabled');
+            row.description.textContent = description;
+        } else {
+            row.description.textContent = [label, description].filter(Boolean).join('. ');
+        }
+        row.description.hidden = !row.description.textContent;
+    }
+
+    announce(text) {
+        // Cleared first so the same message twice is read twice
+        this.announcer.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => { this.announcer.textContent = text; }, 100);
+    }
+
+    blurItem(mesh = this.focused) {
+        if (!mesh || mesh !== this.focused) return;
+        this.focused = null;
+        this.ui.unhover(mesh);
+    }
+
+    buttons() {
+        return [...this.rows.values()].map(row => row.button).filter(Boolean);
+    }
+
+    focusAt(index) {
+        const buttons = this.buttons();
+        if (!buttons.length) return;
+        buttons[(index + buttons.length) % buttons.length].focus();
+    }
+
+    onKeyDown(e) {
+        const target = e.target;
+        if (target.closest('input, textarea, select, [contenteditable]')) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.ui.back();
+            return;
+        }
+
+        // Left and right swap in right-to-left layouts
+        const key = getComputedStyle(this.root).direction === 'rtl' ? (MIRRORED_KEYS[e.key] || e.key) : e.key;
+        const step = NEXT_KEYS.includes(key) ? 1 : PREVIOUS_KEYS.includes(key) ? -1 : 0;
+        if (!step) return;
+        e.preventDefault();
+        const index = this.buttons().indexOf(target);
+        // Nothing focused yet: arrows start at the first (or last) option
+        this.focusAt(index < 0 ? (step > 0 ? 0 : -1) : index + step);
+    }
+}
@@ -0,0 +1,199 @@
+// Navigation state machine for the 3D UI
+// The visitor is always at one level:
+//   home        the orb
+//   menu        the menu panels
+//   section     a section's place, e.g. technology
+//   subsection  a page or an opened showcase card inside the current section
+// A state is a route, { section, item }: section is 'home' | 'menu' | a section
+// id, item the page or card id (subsections only).
+//
+// Moves are checked (level table, the target exists) before anything animates.
+// The view plays the exit and enter animations; until they finish the machine
+// is locked and visitor input waits in a short queue, checked again when its turn
+// comes. Programmatic jumps (deep links, kiosk tour) cut running animations short
+// instead of waiting. Listeners hear 'exit' and 'enter' per level left / entered,
+// then 'change' once per move.
+
+export const LEVELS = ['home', 'menu', 'section', 'subsection'];
+
+export const HOME = { section: 'home', item: null };
+export const MENU = { section: 'menu', item: null };
+
+export function levelOf({ section, item }) {
+    if (section === 'home') return 'home';
+    if (section === 'menu') return 'menu';
+    return item ? 'subsection' : 'section';
+}
+
+export function sameRoute(a, b) {
+    return !!a && !!b && a.section === b.section && (a.item || null) === (b.item || null);
+}
+
+// Where back() goes from a route
+export function parentRoute({ section, item }) {
+    if (item) return { section, item: null };
+    if (section === 'menu') return HOME;
+    if (section === 'home') return null;
+    return MENU;
+}
+
+// Levels each level can move to. Sections are reachable from home too (swipes)
+// and from each other (the carousel); subsections only from their own section.
+const MOVES = {
+    home: ['menu', 'section'],
+    menu: ['home', 'section'],
+    section: ['home', 'menu', 'section', 'subsection'],
+    subsection: ['home', 'menu', 'section', 'subsection']
+};
+
+// A route and the states it sits in, outermost first: brands/brand_1 is inside brands
+function chain(route) {
+    const level = levelOf(route);
+    if (level !== 'subsection') return [{ level, route: { section: route.section, item: null } }];
+    return [{ level: 'section', route: { section: route.section, item: null } }, { level, route }];
+}
+
+// The states a move leaves (innermost first) and enters (outermost first).
+// brands/brand_1 -> menu leaves the card and the section, then enters the menu.
+export function transitionSteps(from, to) {
+    const a = chain(from);
+    const b = chain(to);
+    let shared = 0;
+    while (shared < a.length && shared < b.length && sameRoute(a[shared].route, b[shared].route)) shared++;
+    return { exits: a.slice(shared).reverse(), enters: b.slice(shared) };
+}
+
+export class NavigationMachine {
+    // view: {
+    //   exists(route)          is there such a section / page / card
+    //   play(from, to, steps)  starts the animations; returns a promise (or nothing) for when they end
+    //   finish()               jumps running animations to their end
+    // }
+    constructor(view, { queueLimit = 2 } = {}) {
+        this.view = view;
+        this.state = HOME;
+        this.busy = false; // Animation lock
+        this.queue = []; // Routes, or functions returning one, waiting for the lock
+        this.queueLimit = queueLimit; // More than this while locked is mashing; the rest is dropped
+        this.moveId = 0; // A move cut short by jump() doesn't unlock the one after it
+        this.listeners = { exit: [], enter: [], change: [] };
+    }
+
+    get level() {
+        return levelOf(this.state);
+    }
+
+    // Returns a function that unsubscribes
+    on(type, listener) {
+        const listeners = this.listeners[type];
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) listeners.splice(index, 1);
+        };
+    }
+
+    emit(type, event) {
+        this.listeners[type].forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Navigation ${type} listener failed:`, error);
+            }
+        });
+    }
+
+    // Why a move isn't allowed, or null
+    check(to, from = this.state) {
+        if (!to || !this.view.exists(to)) return 'unknown';
+        if (sameRoute(to, from)) return 'same';
+        if (!MOVES[levelOf(from)].includes(levelOf(to))) return 'level';
+        if (levelOf(to) === 'subsection' && to.section !== from.section) return 'level'; // Through the section first
+        return null;
+    }
+
+    // Visitor input. `to` may be a function, resolved when the move actually runs
+    // (a queued back() means back from wherever the visitor is by then).
+    // Returns whether it moved now; queued input reports false.
+    request(to) {
+        if (this.busy) {
+            if (this.queue.length < this.queueLimit) this.queue.push(to);
+            return false;
+        }
+        return this.go(typeof to === 'function' ? to() : to);
+    }
+
+    back() {
+        return this.request(() => parentRoute(this.state));
+    }
+
+    // Straight to a route, whatever is running or queued. Unknown sections end up
+    // home, unknown items in the section; subsections of another section go
+    // through it first.
+    jump({ section, item = null }) {
+        this.queue = [];
+        let to = { section, item };
+        if (!this.view.exists({ section, item: null })) to = HOME;
+        else if (item && !this.view.exists(to)) to = { section, item: null };
+
+        const stops = levelOf(to) === 'subsection' && to.section !== this.state.section
+            ? [{ section: to.section, item: null }, to]
+            : [to];
+        stops.forEach(stop => {
+            if (sameRoute(stop, this.state)) return;
+            this.settle();
+            this.run(stop);
+        });
+    }
+
+    // Ends the running move now; what was queued still runs
+    settle() {
+        if (!this.busy) return;
+        this.moveId++;
+        this.busy = false;
+        this.view.finish();
+    }
+
+    go(to) {
+        const reason = this.check(to);
+        if (reason) {
+            if (reason === 'level') console.warn("Navigation not allowed:", this.state, '->', to);
+            return false;
+        }
+        this.run(to);
+        return true;
+    }
+
+    run(to) {
+        const from = this.state;
+        const steps = transitionSteps(from, to);
+        const id = ++this.moveId;
+        this.busy = true;
+
+        steps.exits.forEach(({ level, route }) => this.emit('exit', { level, route, from, to }));
+        this.state = to;
+        let done;
+        try {
+            done = this.view.play(from, to, steps);
+        } catch (error) {
+            console.error("Navigation animation failed:", error);
+        }
+        steps.enters.forEach(({ level, route }) => this.emit('enter', { level, route, from, to }));
+        this.emit('change', { from, to });
+
+        Promise.resolve(done)
+            .catch(error => console.error("Navigation animation failed:", error))
+            .then(() => {
+                if (id !== this.moveId) return;
+                this.busy = false;
+                this.next();
+            });
+    }
+
+    next() {
+        while (!this.busy && this.queue.length) {
+            const to = this.queue.shift();
+            this.go(typeof to === 'function' ? to() : to);
+        }
+    }
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+// Canvas-texture renderer for the 3D text panels
+// A panel is described by a spec ({ title, subtitle, body, icon, image, width })
+// and drawn per interaction state ('idle' | 'hover' | 'pressed' | 'disabled').
+// Text is word-wrapped, the canvas grows to fit, and each state's texture is
+// cached on the mesh until its spec changes, then disposed. Panels drawn before
+// the web font is ready get redrawn with refreshAll(), as do all of them after
+// a language switch (setScript: fonts, direction, line spacing).
+
+const PIXELS_PER_UNIT = 512; // 2-unit panel = 1024px wide
+const PADDING = 48;
+const ICON_SIZE = 96;
+const IMAGE_MAX_HEIGHT = 360;
+
+const STYLES = {
+    title: { size: 88, weight: 'bold', lineHeight: 1.15 },
+    subtitle: { size: 60, weight: 'normal', lineHeight: 1.2 },
+    body: { size: 44, weight: 'normal', lineHeight: 1.35 }
+};
+
+function font(style, family) {
+    return `${style.weight} ${style.size}px ${family}`;
+}
+
+// User-perceived characters: a Devanagari conjunct with its vowel signs stays in one piece
+const GRAPHEMES = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+function graphemes(word) {
+    return GRAPHEMES ? Array.from(GRAPHEMES.segment(word), part => part.segment) : Array.from(word);
+}
+
+// Greedy word wrap; words wider than a line are broken between characters.
+// Lines stay in logical order, the canvas direction lays right-to-left text out.
+export function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+
+            // Single word too long for a line
+            line = '';
+            for (const char of graphemes(word)) {
+                if (ctx.measureText(line + char).width > maxWidth && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+export class PanelRenderer {
+    constructor({ colors, fontFamily = '"Space Grotesk", sans-serif' }) {
+        this.colors = colors; // CSS colors: { background, accent, secondary, text, muted, pressed, glow }
+        this.fontFamily = fontFamily;
+        this.direction = 'ltr';
+        this.lineScale = 1; // Taller lines for scripts with marks above / below
+        this.meshes = new Set(); // Everything rendered, for refreshAll()
+        this.images = new Map(); // url -> HTMLImageElement (loading or loaded)
+        this.measure = document.createElement('canvas').getContext('2d');
+    }
+
+    // Language switch; the caller redraws with refreshAll() once the fonts are in
+    setScript({ fontFamily, direction = 'ltr', lineScale = 1 }) {
+        this.fontFamily = fontFamily;
+        this.direction = direction;
+        this.lineScale = lineScale;
+    }
+
+    lineHeight(style) {
+        return style.size * style.lineHeight * this.lineScale;
+    }
+
+    getImage(url) {
+        if (!this.images.has(url)) {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => this.refreshAll(mesh => mesh.userData.panel.image === url);
+            image.onerror = () => console.error("Error loading panel image:", url);
+            image.src = url;
+            this.images.set(url, image);
+        }
+        const image = this.images.get(url);
+        return image.complete && image.naturalWidth ? image : null;
+    }
+
+    // Measures the content and returns the block layout for a spec
+    layout(spec) {
+        const width = Math.round((spec.width || 2) * PIXELS_PER_UNIT);
+        const maxText = width - PADDING * 2;
+        const ctx = this.measure;
+        const blocks = [];
+
+        const image = spec.image ? this.getImage(spec.image) : null;
+        if (image) {
+            const scale = Math.min(maxText / image.naturalWidth, IMAGE_MAX_HEIGHT / image.naturalHeight);
+            blocks.push({ kind: 'image', image, width: image.naturalWidth * scale, height: image.naturalHeight * scale });
+        }
+        if (spec.icon) blocks.push({ kind: 'icon', text: spec.icon, height: ICON_SIZE });
+
+        ['title', 'subtitle', 'body'].forEach(kind => {
+            if (!spec[kind]) return;
+            const style = STYLES[kind];
+            ctx.font = font(style, this.fontFamily);
+            const lines = wrapText(ctx, spec[kind], maxText);
+            blocks.push({ kind, lines, style, height: lines.length * this.lineHeight(style) });
+        });
+
+        const gap = 20;
+        const content = blocks.reduce((sum, b) => sum + b.height, 0) + gap * Math.max(blocks.length - 1, 0);
+        // Never smaller than the classic 2:1 card
+        const height = Math.max(Math.ceil(content + PADDING * 2), Math.round(width / 2));
+
+        return { width, height, blocks, gap, content };
+    }
+
+    draw(spec, state) {
+        const { width, height, blocks, gap, content } = this.layout(spec);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const c = this.colors;
+
+        // Background + border per state
+        const border = { idle: c.accent, hover: c.secondary, pressed: c.secondary, disabled: c.muted }[state];
+        ctx.fillStyle = state === 'pressed' ? c.pressed : c.background;
+        ctx.fillRect(0, 0, width, height);
+        if (state === 'hover') {
+            const glow = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, width / 2);
+            glow.addColorStop(0, c.glow);
+            glow.addColorStop(1, 'rgba(0,0,0,0)');
+            ctx.fillStyle = glow;
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.strokeStyle = border;
+        ctx.lineWidth = state === 'idle' || state === 'disabled' ? 8 : 14;
+        ctx.strokeRect(0, 0, width, height);
+
+        // Content, vertically centered
+        ctx.direction = this.direction;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        let y = (height - content) / 2;
+
+        blocks.forEach(block => {
+            if (block.kind === 'image') {
+                ctx.drawImage(block.image, (width - block.width) / 2, y, block.width, block.height);
+            } else if (block.kind === 'icon') {
+                ctx.font = `${ICON_SIZE * 0.85}px ${this.fontFamily}`;
+                ctx.fillStyle = c.text;
+                ctx.fillText(block.text, width / 2, y);
+            } else {
+                ctx.font = font(block.style, this.fontFamily);
+                ctx.fillStyle = state === 'disabled' ? c.muted : (block.kind === 'subtitle' ? c.secondary : c.text);
+                block.lines.forEach((line, i) => {
+                    ctx.fillText(line, width / 2, y + i * this.lineHeight(block.style));
+                });
+            }
+            y += block.height + gap;
+        });
+
+        return canvas;
+    }
+
+    // Sets (or replaces) a mesh's spec and shows its current state
+    apply(mesh, spec) {
+        this.release(mesh);
+        mesh.userData.panel = spec;
+        mesh.userData.textures = {};
+        this.meshes.add(mesh);
+
+        // World size follows the canvas aspect
+        const { width, height } = this.layout(spec);
+        const worldWidth = spec.width || 2;
+        const worldHeight = worldWidth * height / width;
+        const params = mesh.geometry.parameters;
+        if (!params || params.width !== worldWidth || params.height !== worldHeight) {
+            mesh.geometry.dispose();
+            mesh.geometry = new THREE.PlaneGeometry(worldWidth, worldHeight);
+        }
+
+        this.setState(mesh, mesh.userData.panelState || 'idle');
+    }
+
+    setState(mesh, state) {
+        mesh.userData.panelState = state;
+        const textures = mesh.userData.textures;
+        if (!textures[state]) {
+            textures[state] = new THREE.CanvasTexture(this.draw(mesh.userData.panel, state));
+            textures[state].colorSpace = THREE.SRGBColorSpace;
+        }
+        mesh.material.map = textures[state];
+        mesh.material.needsUpdate = true;
+    }
+
+    // Drops the cached textures of a mesh (before a spec change or removal)
+    release(mesh) {
+        const textures = mesh.userData.textures;
+        if (textures) Object.values(textures).forEach(texture => texture.dispose());
+        mesh.userData.textures = {};
+    }
+
+    dispose(mesh) {
+        this.release(mesh);
+        this.meshes.delete(mesh);
+    }
+
+    // Re-renders every panel (after fonts/images load or a color change)
+    refreshAll(filter = () => true) {
+        this.meshes.forEach(mesh => {
+            if (filter(mesh)) this.apply(mesh, mesh.userData.panel);
+        });
+    }
+}
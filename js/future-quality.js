@@ -0,0 +1,66 @@
+// Frame-time driven quality governor
+// Watches a smoothed frame time and steps between quality tiers (0 = lowest).
+// Hysteresis keeps it from flapping: stepping down needs a sustained slow
+// stretch, stepping up a much longer fast one, nothing is measured while a
+// change settles, and every time a tier proves too slow its next try waits longer.
+
+export class QualityGovernor {
+    constructor(tierCount, {
+        start = tierCount - 1,
+        pinned = null, // Tier index to hold regardless of frame time
+        downMs = 1000 / 45, // Slower than ~45fps -> step down
+        upMs = 1000 / 58, // Faster than ~58fps -> try a step up
+        downAfter = 2000, // ms the slow stretch must last
+        upAfter = 6000, // ms the fast stretch must last (doubles per failed try)
+        settle = 1500 // ms ignored after a change (shader compiles, resize)
+    } = {}) {
+        this.tierCount = tierCount;
+        this.pinned = pinned;
+        this.tier = pinned !== null ? pinned : start;
+        this.options = { downMs, upMs, downAfter, upAfter, settle };
+        this.upDelays = new Array(tierCount).fill(upAfter); // Per target tier
+        this.reset(0);
+    }
+
+    reset(now) {
+        this.average = null;
+        this.slowSince = null;
+        this.fastSince = null;
+        this.settleUntil = now + this.options.settle;
+    }
+
+    // Feed one frame; returns the new tier index when it changes, else null
+    update(frameMs, now) {
+        if (this.pinned !== null) return null;
+        if (now < this.settleUntil) return null;
+        // A hidden tab or a debugger pause isn't a slow device
+        if (frameMs > 250) return null;
+
+        this.average = this.average === null ? frameMs : this.average + (frameMs - this.average) * 0.1;
+        const { downMs, upMs, downAfter } = this.options;
+
+        if (this.average > downMs && this.tier > 0) {
+            this.fastSince = null;
+            if (this.slowSince === null) this.slowSince = now;
+            if (now - this.slowSince >= downAfter) {
+                // Went up to this tier and it couldn't hold: be slower to try again
+                this.upDelays[this.tier] *= 2;
+                return this.change(this.tier - 1, now);
+            }
+        } else if (this.average < upMs && this.tier < this.tierCount - 1) {
+            this.slowSince = null;
+            if (this.fastSince === null) this.fastSince = now;
+            if (now - this.fastSince >= this.upDelays[this.tier + 1]) return this.change(this.tier + 1, now);
+        } else {
+            this.slowSince = null;
+            this.fastSince = null;
+        }
+        return null;
+    }
+
+    change(tier, now) {
+        this.tier = tier;
+        this.reset(now);
+        return tier;
+    }
+}
@@ -0,0 +1,129 @@
+import { GestureRouter, labelHands } from './future-gestures.js';
+
+// Record and replay hand-landmark sessions
+// A session is plain JSON so it can be checked into the repo and replayed
+// without a webcam or the MediaPipe model:
+//   { version, recordedAt, frames: [{ t, landmarks, handedness }], expected?: [action, ...] }
+// `t` is ms since the first frame; `landmarks` is results.landmarks (one array per hand).
+
+const SESSION_VERSION = 1;
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// A recorded frame in the shape HandLandmarker.detectForVideo returns
+function frameResults(frame) {
+    return { landmarks: frame.landmarks, handedness: (frame.handedness || []).map(name => [{ categoryName: name }]) };
+}
+
+export class LandmarkRecorder {
+    constructor() {
+        this.recording = false;
+        this.frames = [];
+        this.startTime = 0;
+    }
+
+    start() {
+        this.frames = [];
+        this.startTime = null;
+        this.recording = true;
+        console.log("Landmark recording started");
+    }
+
+    capture(results, time) {
+        if (!this.recording) return;
+        if (this.startTime === null) this.startTime = time;
+
+        this.frames.push({
+            t: Math.round(time - this.startTime),
+            landmarks: (results.landmarks || []).map(hand => hand.map(p => ({ x: round(p.x), y: round(p.y), z: round(p.z) }))),
+            handedness: (results.handedness || results.handednesses || []).map(h => h[0] && h[0].categoryName)
+        });
+    }
+
+    stop() {
+        this.recording = false;
+        console.log(`Landmark recording stopped (${this.frames.length} frames)`);
+        return this.toJSON();
+    }
+
+    toJSON() {
+        return {
+            version: SESSION_VERSION,
+            recordedAt: new Date().toISOString(),
+            frames: this.frames
+        };
+    }
+
+    download(filename = `hand-session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
+
+// Stands in for the camera: hands out recorded frames as their time comes up
+export class LandmarkReplay {
+    constructor(session, { loop = false } = {}) {
+        if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.frames)) {
+            throw new Error(`Unsupported hand session (expected version ${SESSION_VERSION})`);
+        }
+        this.session = session;
+        this.loop = loop;
+        this.index = 0;
+        this.startTime = null;
+    }
+
+    start(now) {
+        this.startTime = now;
+        this.index = 0;
+    }
+
+    get done() {
+        return !this.loop && this.index >= this.session.frames.length;
+    }
+
+    // Every frame that is due by `now`, in order, as { time, results }.
+    // Frames are never skipped so gesture timing matches the recording.
+    due(now) {
+        if (this.startTime === null) this.start(now);
+        const frames = this.session.frames;
+        const out = [];
+
+        while (this.index < frames.length && this.startTime + frames[this.index].t <= now) {
+            const frame = frames[this.index++];
+            out.push({ time: this.startTime + frame.t, results: frameResults(frame) });
+        }
+
+        if (this.loop && this.index >= frames.length && frames.length) {
+            this.startTime += frames[frames.length - 1].t + 1;
+            this.index = 0;
+        }
+        return out;
+    }
+}
+
+// Headless check: run a session through the same GestureRouter the page uses
+// and compare the resulting actions against session.expected.
+// tools/replay-check.mjs runs it over tools/sessions with GESTURE_BINDINGS.
+export function replaySession(session, config) {
+    const router = new GestureRouter(config);
+    const actions = [];
+
+    session.frames.forEach(frame => {
+        const labels = labelHands(frameResults(frame), config.swapHandedness);
+        const hands = frame.landmarks.map((landmarks, i) => ({ name: labels[i], landmarks }));
+
+        router.update(hands, frame.t).actions.forEach(entry => actions.push({ t: frame.t, ...entry }));
+    });
+
+    const expected = session.expected || null;
+    const fired = actions.map(a => a.action);
+    const passed = expected === null || (expected.length === fired.length && expected.every((a, i) => a === fired[i]));
+
+    return { actions, expected, passed };
+}
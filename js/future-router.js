@@ -0,0 +1,80 @@
+// Hash routing for the 3D navigation, so sections can be linked and the
+// browser Back button steps back through the scene instead of leaving it.
+//   #/                  the orb (home)
+//   #/menu              menu open
+//   #/<section>         a section, e.g. #/technology
+//   #/<section>/<item>  a page or showcase card inside a section, e.g. #/brands/brand_1
+// Hash routes work on any static host, no server rewrites needed.
+
+import { sameRoute } from './future-navigation.js';
+
+export function parseRoute(hash) {
+    const parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    return { section: parts[0] || 'home', item: parts[1] || null };
+}
+
+export function formatRoute({ section, item = null }) {
+    if (section === 'home') return '#/';
+    return `#/${[section, item].filter(Boolean).map(encodeURIComponent).join('/')}`;
+}
+
+// No hash at all is the same as '#/'
+function currentHash() {
+    return location.hash || '#/';
+}
+
+// Keeps location.hash and the UIManager in sync.
+// The UI reports every navigation through onRouteChange; the router pushes it
+// as a history entry, or steps history back when the UI went back to the entry
+// it came from. popstate (Back/Forward, edited hash) drives the UI in turn.
+export class HashRouter {
+    constructor(ui) {
+        this.ui = ui; // { route, navigate(route), onRouteChange }
+        this.started = false;
+        this.onPopState = this.onPopState.bind(this);
+    }
+
+    // Call once the visitor is in the experience: applies the deep link (if any)
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        // A reload keeps its history state, so in-app back can still step through it
+        if (!history.state) history.replaceState({ from: null }, '');
+        this.ui.onRouteChange = (route) => this.onRouteChange(route);
+        window.addEventListener('popstate', this.onPopState);
+        this.apply(parseRoute(location.hash));
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+        this.ui.onRouteChange = null;
+        window.removeEventListener('popstate', this.onPopState);
+    }
+
+    onRouteChange(route) {
+        const hash = formatRoute(route);
+        if (hash === currentHash()) return;
+
+        if (history.state && history.state.from === hash) {
+            history.back(); // In-app back = browser back; the popstate finds the UI already there
+        } else {
+            history.pushState({ from: currentHash() }, '', hash);
+        }
+    }
+
+    onPopState() {
+        this.apply(parseRoute(location.hash));
+    }
+
+    apply(route) {
+        if (sameRoute(route, this.ui.route)) return;
+
+        this.ui.navigate(route);
+
+        // Unknown section / item: show where we actually ended up
+        const hash = formatRoute(this.ui.route);
+        if (hash !== currentHash()) history.replaceState(history.state, '', hash);
+    }
+}
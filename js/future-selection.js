@@ -0,0 +1,104 @@
+// Alternatives to pinch-on-contact for selecting with a hand
+//   pinch    select the moment thumb and index touch (default)
+//   release  select when the pinch opens again, on what was under the cursor
+//            when it closed: shaky hands can drift off the target meanwhile
+//   dwell    hold the cursor over a target for a while (pinch still works)
+//   scan     the highlight steps through every target; one switch selects it
+// The selectors only track state; HandTracker feeds them and does the selecting.
+
+export const SELECTION_MODES = ['pinch', 'release', 'dwell', 'scan'];
+
+export class DwellSelector {
+    constructor({ dwellMs = 1200 } = {}) {
+        this.dwellMs = dwellMs;
+        this.reset();
+    }
+
+    reset() {
+        this.target = null;
+        this.since = 0;
+        this.armed = false;
+    }
+
+    // target: what the cursor is over (or null). Returns { progress (0..1), fired }
+    // Fires once per visit; the cursor has to leave and come back to go again.
+    update(target, time) {
+        if (target !== this.target) {
+            this.target = target;
+            this.since = time;
+            this.armed = !!target;
+        }
+        if (!this.armed) return { progress: 0, fired: null };
+
+        const progress = Math.min((time - this.since) / this.dwellMs, 1);
+        if (progress < 1) return { progress, fired: null };
+
+        this.armed = false;
+        return { progress: 1, fired: target };
+    }
+}
+
+export class ReleaseSelector {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.pinching = false;
+        this.pressed = null;
+    }
+
+    // Returns the target to select on the frame the pinch opens, else null.
+    // Moving onto a different target while pinched cancels; moving off onto nothing doesn't.
+    update(pinching, target) {
+        let fired = null;
+        if (pinching && !this.pinching) {
+            this.pressed = target;
+        } else if (pinching && target && target !== this.pressed) {
+            this.pressed = null;
+        } else if (!pinching && this.pinching) {
+            fired = this.pressed;
+            this.pressed = null;
+        }
+        this.pinching = pinching;
+        return fired;
+    }
+}
+
+// targets: the selectable objects in scanning order, passed in every frame
+export class ScanSelector {
+    constructor({ stepMs = 1500 } = {}) {
+        this.stepMs = stepMs;
+        this.reset();
+    }
+
+    reset() {
+        this.current = null;
+        this.since = 0;
+    }
+
+    // Returns the highlighted target
+    update(targets, time) {
+        if (!targets.length) {
+            this.current = null;
+            return null;
+        }
+
+        const index = targets.indexOf(this.current);
+        if (index < 0) {
+            // First run, or the targets changed (a menu opened): start over
+            this.current = targets[0];
+            this.since = time;
+        } else if (time - this.since >= this.stepMs) {
+            this.current = targets[(index + 1) % targets.length];
+            this.since = time;
+        }
+        return this.current;
+    }
+
+    // The switch was pressed: returns the highlighted target and holds it for another step
+    select(time) {
+        this.since = time;
+        return this.current;
+    }
+}
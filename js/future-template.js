@@ -0,0 +1,251 @@
+// Markup for <future-experience>: the WebGL container and the DOM overlays.
+// The host page provides what future.html has in its <head>: the Tailwind CDN,
+// the fonts, the .glass / .font-display styles, the three.js import map, and gsap.
+// Ids are written plainly here; mount() gives each experience its own prefix (scopeIds),
+// so find elements by their name in this template with ref(root, 'webcam').
+// data-i18n names the string catalog key (future-locales.js) an element's text comes from.
+
+export const FUTURE_TEMPLATE = `
+<!-- WebGL Container -->
+<div id="canvas-container" class="absolute inset-0 z-0"></div>
+
+<!-- UI Overlay Layer -->
+<div id="ui-layer" class="absolute inset-0 z-10 pointer-events-none">
+
+    <!-- Keyboard / screen reader mirror of the 3D scene (future-mirror.js). First in tab order. -->
+    <nav id="scene-mirror" class="sr-only" aria-labelledby="scene-mirror-heading">
+        <h2 id="scene-mirror-heading"></h2>
+        <ul id="scene-mirror-list"></ul>
+        <p data-i18n="mirror.instructions">Arrow keys move between options, Enter selects, Escape goes back.</p>
+    </nav>
+    <div id="scene-announcer" class="sr-only" role="status" aria-live="polite"></div>
+
+    <!-- Loading Screen -->
+    <div id="loading-screen"
+        class="absolute inset-0 bg-black flex flex-col items-center justify-center z-50 transition-opacity duration-1000 pointer-events-auto">
+        <h1
+            class="text-4xl md:text-6xl font-display font-bold text-transparent bg-clip-text bg-gradient-to-r from-cyan-400 to-purple-500 mb-4 animate-pulse">
+            THERE THE FUTURE</h1>
+        <p class="text-gray-400 tracking-widest text-sm uppercase" data-i18n="loading.tagline">Initializing Neural Link...</p>
+        <div class="w-64 h-1 mt-8 rounded-full bg-white/10 overflow-hidden">
+            <div id="loading-bar" class="h-full w-0 bg-gradient-to-r from-cyan-400 to-purple-500 transition-all duration-300">
+            </div>
+        </div>
+        <p id="loading-status" class="mt-3 text-gray-500 text-xs font-mono"></p>
+    </div>
+
+    <!-- Permission Prompt (Hidden by default) -->
+    <div id="permission-prompt"
+        class="hidden absolute inset-0 bg-black/90 flex flex-col items-center justify-center z-40 pointer-events-auto backdrop-blur-xl">
+        <div class="max-w-md text-center p-8 glass rounded-2xl">
+            <div
+                class="w-16 h-16 mx-auto mb-6 rounded-full bg-cyan-500/20 flex items-center justify-center border border-cyan-500/50">
+                <svg class="w-8 h-8 text-cyan-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                        d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z">
+                    </path>
+                </svg>
+            </div>
+            <h2 class="text-2xl font-bold mb-4 font-display" data-i18n="permission.title">Camera Access Required</h2>
+            <p class="text-gray-400 mb-8" data-i18n="permission.text">This experience uses your hand gestures to navigate. All processing is
+                done locally on your device.</p>
+            <div class="flex gap-4 justify-center">
+                <button id="btn-allow-camera"
+                    class="px-8 py-3 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-full font-bold hover:shadow-[0_0_20px_rgba(6,182,212,0.5)] transition-all disabled:opacity-50 disabled:cursor-wait" data-i18n="permission.allow">Allow
+                    Camera</button>
+                <button id="btn-use-mouse"
+                    class="px-8 py-3 glass rounded-full font-bold hover:bg-white/10 transition-all text-gray-300" data-i18n="permission.mouse">Use
+                    Mouse</button>
+            </div>
+            <p id="camera-status" class="hidden mt-6 text-sm font-mono text-gray-400"></p>
+            <button id="btn-retry-model"
+                class="hidden mt-4 px-6 py-2 glass rounded-full font-bold hover:bg-white/10 transition-all text-cyan-300 text-sm" data-i18n="permission.retry">Retry</button>
+        </div>
+    </div>
+
+    <!-- Reach Calibration (Hidden by default) -->
+    <div id="calibration" class="hidden absolute inset-0 z-30">
+        <div data-corner="top-left"
+            class="absolute top-8 left-8 w-12 h-12 rounded-full border-2 border-cyan-400 transition-opacity"></div>
+        <div data-corner="top-right"
+            class="absolute top-8 right-8 w-12 h-12 rounded-full border-2 border-cyan-400 transition-opacity"></div>
+        <div data-corner="bottom-right"
+            class="absolute bottom-8 right-8 w-12 h-12 rounded-full border-2 border-cyan-400 transition-opacity"></div>
+        <div data-corner="bottom-left"
+            class="absolute bottom-8 left-8 w-12 h-12 rounded-full border-2 border-cyan-400 transition-opacity"></div>
+        <div
+            class="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 max-w-sm text-center p-6 glass rounded-2xl pointer-events-auto">
+            <h2 class="text-2xl font-bold mb-2 font-display" data-i18n="calibration.title">Calibrate Your Reach</h2>
+            <p id="calibration-text" class="text-gray-400 mb-6" data-i18n="calibration.text">Point at the glowing corner and hold still.</p>
+            <button id="btn-skip-calibration"
+                class="px-6 py-2 glass rounded-full font-bold hover:bg-white/10 transition-all text-gray-300 text-sm" data-i18n="calibration.skip">Skip</button>
+        </div>
+    </div>
+
+    <!-- Gesture Onboarding (first visit, after calibration) -->
+    <div id="onboarding" class="hidden absolute inset-0 z-30">
+        <div
+            class="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 w-96 max-w-[calc(100%-4rem)] text-center p-6 glass rounded-2xl pointer-events-auto">
+            <h2 class="text-2xl font-bold mb-2 font-display" data-i18n="onboarding.title">Learn the Gestures</h2>
+            <p id="onboarding-prompt" class="text-gray-300 mb-4"></p>
+            <ul id="onboarding-steps" class="flex justify-center gap-4 mb-4 text-xs font-mono text-gray-400"></ul>
+            <div class="h-2 rounded-full bg-white/10 overflow-hidden" aria-hidden="true">
+                <div id="onboarding-meter" class="h-full w-0 bg-gradient-to-r from-cyan-400 to-purple-500 transition-all duration-150"></div>
+            </div>
+            <p id="onboarding-live" class="mt-2 mb-6 text-xs font-mono text-gray-500 min-h-[1rem]" aria-live="polite"></p>
+            <button id="btn-skip-onboarding"
+                class="px-6 py-2 glass rounded-full font-bold hover:bg-white/10 transition-all text-gray-300 text-sm" data-i18n="onboarding.skip">Skip</button>
+        </div>
+    </div>
+
+    <!-- Inquiry Form (shown with the Contact section) -->
+    <form id="inquiry-form" novalidate
+        class="hidden absolute top-1/2 right-8 transform -translate-y-1/2 w-96 max-w-[calc(100%-4rem)] p-6 glass rounded-2xl pointer-events-auto flex flex-col gap-4">
+        <h2 class="text-2xl font-bold font-display" data-i18n="inquiry.title">Bring the Future</h2>
+        <label class="flex flex-col gap-1 text-sm text-gray-400"><span data-i18n="inquiry.fields.name">Name</span>
+            <input name="name" type="text" autocomplete="name" required
+                class="px-4 py-3 rounded-xl bg-black/50 border border-white/10 text-white text-lg focus:outline-none focus:border-cyan-400">
+            <span data-error-for="name" class="text-xs text-red-400"></span>
+        </label>
+        <label class="flex flex-col gap-1 text-sm text-gray-400"><span data-i18n="inquiry.fields.email">Email</span>
+            <input name="email" type="email" autocomplete="email" required
+                class="px-4 py-3 rounded-xl bg-black/50 border border-white/10 text-white text-lg focus:outline-none focus:border-cyan-400">
+            <span data-error-for="email" class="text-xs text-red-400"></span>
+        </label>
+        <label class="flex flex-col gap-1 text-sm text-gray-400"><span data-i18n="inquiry.fields.message">Message</span>
+            <textarea name="message" rows="4" required
+                class="px-4 py-3 rounded-xl bg-black/50 border border-white/10 text-white text-lg focus:outline-none focus:border-cyan-400 resize-none"></textarea>
+            <span data-error-for="message" class="text-xs text-red-400"></span>
+        </label>
+        <button id="btn-send-inquiry" type="submit"
+            class="py-4 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-full font-bold text-lg hover:shadow-[0_0_20px_rgba(6,182,212,0.5)] transition-all disabled:opacity-50" data-i18n="inquiry.send">Send
+            Inquiry</button>
+        <p id="inquiry-feedback" class="text-sm text-gray-400 text-center min-h-[1.25rem]" aria-live="polite"></p>
+    </form>
+
+    <!-- Gesture Guide (Bottom Left) -->
+    <div id="gesture-guide" class="absolute bottom-8 left-8 opacity-0 transition-opacity duration-500">
+        <div class="glass p-4 rounded-xl flex gap-6 text-xs font-mono text-gray-400">
+            <div class="flex flex-col items-center gap-2">
+                <span class="text-2xl">✋</span>
+                <span data-i18n="guide.menu">MENU</span>
+            </div>
+            <div class="flex flex-col items-center gap-2">
+                <span class="text-2xl">👉</span>
+                <span data-i18n="guide.hover">HOVER</span>
+            </div>
+            <div class="flex flex-col items-center gap-2">
+                <span class="text-2xl">🤏</span>
+                <span data-i18n="guide.select">SELECT</span>
+            </div>
+            <div class="flex flex-col items-center gap-2">
+                <span class="text-2xl">👊</span>
+                <span data-i18n="guide.back">BACK</span>
+            </div>
+        </div>
+        <label class="glass mt-2 px-4 py-2 rounded-xl flex items-center gap-2 text-xs font-mono text-gray-400 pointer-events-auto">
+            <span data-i18n="guide.selectBy">Select by</span>
+            <select id="selection-select" class="bg-transparent text-gray-200 focus:outline-none">
+                <option value="pinch" data-i18n="guide.modes.pinch">Pinch</option>
+                <option value="release" data-i18n="guide.modes.release">Pinch &amp; release</option>
+                <option value="dwell" data-i18n="guide.modes.dwell">Hovering (dwell)</option>
+                <option value="scan" data-i18n="guide.modes.scan">Switch scanning</option>
+            </select>
+        </label>
+    </div>
+
+    <!-- Kiosk attract loop hints -->
+    <div id="kiosk-hint"
+        class="hidden absolute bottom-24 left-1/2 transform -translate-x-1/2 px-8 py-4 glass rounded-full text-xl font-display font-bold text-cyan-300 whitespace-nowrap"></div>
+
+    <!-- Camera problems (replaces the old alert; the experience carries on with the mouse) -->
+    <div id="camera-error" role="alert"
+        class="hidden absolute top-8 left-1/2 transform -translate-x-1/2 w-96 max-w-[calc(100%-4rem)] p-5 glass rounded-2xl pointer-events-auto z-30">
+        <h2 id="camera-error-title" class="text-lg font-bold font-display mb-1 text-red-300"></h2>
+        <p id="camera-error-text" class="text-sm text-gray-300"></p>
+        <p class="text-sm text-gray-500 mb-4" data-i18n="camera.fallback">You can keep exploring with the mouse.</p>
+        <div class="flex gap-3">
+            <button id="btn-camera-retry"
+                class="px-5 py-2 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-full font-bold text-sm transition-all" data-i18n="camera.retry">Try
+                Again</button>
+            <button id="btn-camera-dismiss"
+                class="px-5 py-2 glass rounded-full font-bold hover:bg-white/10 transition-all text-gray-300 text-sm" data-i18n="camera.dismiss">Dismiss</button>
+        </div>
+    </div>
+
+    <!-- Camera picker (only with more than one camera) -->
+    <label id="camera-picker"
+        class="hidden absolute top-4 left-4 glass rounded-xl px-3 py-2 pointer-events-auto flex items-center gap-2 text-xs font-mono text-gray-400">
+        <span aria-hidden="true">📷</span>
+        <span class="sr-only" data-i18n="camera.picker">Camera</span>
+        <select id="camera-select" class="bg-transparent text-gray-200 focus:outline-none max-w-[12rem]"></select>
+    </label>
+
+    <!-- Language (only with more than one catalog) -->
+    <label id="language-picker"
+        class="hidden absolute bottom-8 right-8 z-40 glass rounded-xl px-3 py-2 pointer-events-auto flex items-center gap-2 text-xs font-mono text-gray-400">
+        <span aria-hidden="true">🌐</span>
+        <span class="sr-only" data-i18n="language">Language</span>
+        <select id="language-select" class="bg-transparent text-gray-200 focus:outline-none"></select>
+    </label>
+
+    <!-- Start Prompts (Center) -->
+    <div id="start-prompt"
+        class="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 text-center pointer-events-auto opacity-0 transition-opacity duration-500">
+        <h1 class="text-5xl md:text-7xl font-display font-black leading-tight mb-6">
+            <span data-i18n="start.title">CONTROL THE WEB</span><br>
+            <span class="text-transparent bg-clip-text bg-gradient-to-r from-cyan-400 to-purple-500" data-i18n="start.titleAccent">WITH YOUR
+                HANDS</span>
+        </h1>
+        <div id="start-btn-container" class="mt-8 transition-transform duration-300 hover:scale-105">
+            <!-- 3D Orb will be positioned here functionally, but visually it's in canvas. this is a fallback hit area if needed -->
+            <button id="btn-start-fallback"
+                class="px-8 py-4 glass rounded-full border-cyan-500/30 text-cyan-300 hover:bg-cyan-500/10 transition-colors uppercase tracking-widest font-bold text-sm" data-i18n="start.raiseHand">
+                Raise Hand to Start
+            </button>
+        </div>
+    </div>
+
+    <video id="webcam" class="hidden" playsinline></video>
+
+    <!-- Diagnostics HUD (D key or ?debug) -->
+    <div id="diagnostics"
+        class="hidden absolute top-4 right-4 w-80 max-h-[calc(100%-2rem)] overflow-y-auto p-3 glass rounded-xl pointer-events-auto text-xs font-mono text-gray-300 z-40">
+        <canvas id="diagnostics-video" width="320" height="180" class="w-full rounded-lg bg-black mb-2"></canvas>
+        <pre id="diagnostics-stats" class="whitespace-pre-wrap mb-2"></pre>
+        <pre id="diagnostics-metrics" class="whitespace-pre-wrap mb-2 text-gray-400"></pre>
+        <details>
+            <summary class="cursor-pointer text-cyan-300 mb-2">Thresholds</summary>
+            <div id="diagnostics-sliders" class="flex flex-col gap-3"></div>
+        </details>
+        <div class="flex gap-2 mt-3">
+            <button id="btn-diagnostics-export" class="px-3 py-1 glass rounded-full hover:bg-white/10">Export config</button>
+            <button id="btn-diagnostics-reset" class="px-3 py-1 glass rounded-full hover:bg-white/10">Reset</button>
+        </div>
+        <textarea id="diagnostics-export" readonly
+            class="hidden w-full h-40 mt-2 p-2 rounded-lg bg-black/60 text-gray-200 resize-none"></textarea>
+    </div>
+
+</div>
+`;
+
+// Attributes that point at ids and need the same prefix
+const ID_REFERENCES = ['for', 'aria-labelledby', 'aria-describedby', 'aria-controls'];
+
+// Makes the template's ids unique on the page: id="webcam" becomes
+// id="<prefix>webcam" data-ref="webcam", and labels and aria references follow
+export function scopeIds(root, prefix) {
+    root.querySelectorAll('[id]').forEach(element => {
+        element.dataset.ref = element.id;
+        element.id = prefix + element.id;
+    });
+    ID_REFERENCES.forEach(name => root.querySelectorAll(`[${name}]`).forEach(element => {
+        const ids = element.getAttribute(name).trim().split(/\s+/);
+        element.setAttribute(name, ids.map(id => prefix + id).join(' '));
+    }));
+}
+
+// A template element by its unprefixed id
+export function ref(root, id) {
+    return root.querySelector(`[data-ref="${id}"]`);
+}
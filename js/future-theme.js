@@ -0,0 +1,124 @@
+// Color themes and display preferences for future.html
+// A theme is a palette of hex colors (scene) plus the panel canvas background (CSS).
+// Themes are switched at runtime; DisplayPreferences follows the OS reduced-motion
+// and contrast settings unless the page pins them.
+
+export const THEMES = {
+    neon: {
+        dark: true,
+        background: 0x050505,
+        grid: 0x0a0a0a,
+        accent: 0x06b6d4, // Cyan
+        secondary: 0xa855f7, // Purple
+        text: 0xffffff,
+        muted: 0x6b7280,
+        panel: 'rgba(0,0,0,0.8)'
+    },
+    light: {
+        dark: false,
+        background: 0xf4f4f5,
+        grid: 0xd4d4d8,
+        accent: 0x0284c7,
+        secondary: 0x7c3aed,
+        text: 0x18181b,
+        muted: 0x9ca3af,
+        panel: 'rgba(255,255,255,0.9)'
+    },
+    // Picked automatically when the visitor asks for more contrast
+    'high-contrast': {
+        dark: true,
+        background: 0x000000,
+        grid: 0x404040,
+        accent: 0xffff00,
+        secondary: 0x00ffff,
+        text: 0xffffff,
+        muted: 0xa3a3a3,
+        panel: 'rgba(0,0,0,1)'
+    },
+
+    // Brand palettes
+    ember: {
+        dark: true,
+        background: 0x0c0604,
+        grid: 0x1c0f0a,
+        accent: 0xf97316,
+        secondary: 0xef4444,
+        text: 0xfff7ed,
+        muted: 0x78716c,
+        panel: 'rgba(12,6,4,0.85)'
+    },
+    luxe: {
+        dark: true,
+        background: 0x0a0a0a,
+        grid: 0x171717,
+        accent: 0xd4af37, // Gold
+        secondary: 0xf5f5f4,
+        text: 0xfafaf9,
+        muted: 0x737373,
+        panel: 'rgba(10,10,10,0.9)'
+    }
+};
+
+// Adds (or replaces) a theme; missing colors come from neon
+export function registerTheme(name, palette) {
+    THEMES[name] = { ...THEMES.neon, ...palette };
+}
+
+export function cssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+export function rgbaColor(hex, alpha) {
+    return `rgba(${(hex >> 16) & 255},${(hex >> 8) & 255},${hex & 255},${alpha})`;
+}
+
+// CSS colors for the panel canvases (PanelRenderer)
+export function panelColors(theme) {
+    return {
+        background: theme.panel,
+        accent: cssColor(theme.accent),
+        secondary: cssColor(theme.secondary),
+        text: cssColor(theme.text),
+        muted: cssColor(theme.muted),
+        pressed: rgbaColor(theme.accent, 0.35),
+        glow: rgbaColor(theme.secondary, 0.35)
+    };
+}
+
+// Reduced motion and contrast: 'auto' follows the OS, anything else pins it.
+//   motion: 'auto' | 'reduce' | 'full'
+//   contrast: 'auto' | 'more' | 'normal'
+export class DisplayPreferences {
+    constructor({ motion = 'auto', contrast = 'auto' } = {}) {
+        this.motion = motion;
+        this.contrast = contrast;
+        this.onChange = null; // (preferences) => {}
+
+        this.notify = () => { if (this.onChange) this.onChange(this); };
+        this.queries = {
+            motion: window.matchMedia('(prefers-reduced-motion: reduce)'),
+            contrast: window.matchMedia('(prefers-contrast: more)')
+        };
+        Object.values(this.queries).forEach(query => query.addEventListener('change', this.notify));
+    }
+
+    get reducedMotion() {
+        return this.motion === 'auto' ? this.queries.motion.matches : this.motion === 'reduce';
+    }
+
+    get highContrast() {
+        return this.contrast === 'auto' ? this.queries.contrast.matches : this.contrast === 'more';
+    }
+
+    set({ motion = this.motion, contrast = this.contrast }) {
+        if (motion === this.motion && contrast === this.contrast) return;
+        this.motion = motion;
+        this.contrast = contrast;
+        this.notify();
+    }
+
+    dispose() {
+        Object.values(this.queries).forEach(query => query.removeEventListener('change', this.notify));
+        this.onChange = null;
+    }
+}
@@ -0,0 +1,41 @@
+// Headless gesture regression check
+// Replays hand sessions (future-replay.js format) through the page's GestureRouter
+// and bindings, and compares the actions that fire with each session's `expected`.
+//   node tools/replay-check.mjs                      every session in tools/sessions
+//   node tools/replay-check.mjs path/to/session.json  just these
+// Record new sessions on future.html?record (R starts / stops, the JSON downloads),
+// then add the actions they should fire as `expected`.
+// Exits 1 if any session fails. Node 14+: js/package.json marks the page's modules as ES modules.
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GESTURE_BINDINGS } from '../js/future-gestures.js';
+import { replaySession } from '../js/future-replay.js';
+
+const SESSIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'sessions');
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : readdirSync(SESSIONS_DIR).filter(name => name.endsWith('.json')).sort().map(name => join(SESSIONS_DIR, name));
+
+let failed = 0;
+files.forEach(file => {
+    const session = JSON.parse(readFileSync(file, 'utf8'));
+    const { actions, expected, passed } = replaySession(session, { ...GESTURE_BINDINGS, options: {} });
+    const fired = actions.map(entry => entry.action);
+
+    if (!expected) {
+        console.log(`?    ${file}: no expected actions; fired ${fired.join(', ') || 'nothing'}`);
+    } else if (passed) {
+        console.log(`ok   ${file}: ${fired.join(', ')}`);
+    } else {
+        failed++;
+        console.log(`FAIL ${file}\n     expected ${expected.join(', ') || 'nothing'}\n     fired    ${fired.join(', ') || 'nothing'}`);
+    }
+});
+
+if (failed) {
+    console.log(`${failed} of ${files.length} sessions failed`);
+    process.exit(1);
+}